@@ -3,9 +3,15 @@
 // pipeline. It can be serialized and deserialized to and from a very compact string form, which
 // can then be used as a key for cache lookups or transmitting over a wire.
 //
+// Layouts whose values fit in the original compact form (arrayStride < 2048, attribute offsets <
+// 4096, shader locations < 16 and no more than 15 attributes per buffer) are always serialized that
+// way so that previously generated keys remain valid. Anything larger is written with an extended
+// encoding which begins with a header byte and uses variable-length fields instead.
+//
 // The GeometryLayoutCache uses the serialized form of the GeometryLayout to dedup them and assign
-// a unique ID to each, which is then even easier to use for cache lookups (though only for the
-// given session.)
+// a unique ID to each, which is then even easier to use for cache lookups. IDs are only stable for
+// the given session unless the cache is exported as a manifest and imported again in a later one,
+// in which case the imported layouts keep their original IDs.
 var TopologyId;
 (function (TopologyId) {
     TopologyId[TopologyId["point-list"] = 0] = "point-list";
@@ -58,6 +64,18 @@ var FormatId;
     FormatId[FormatId["sint32x2"] = 27] = "sint32x2";
     FormatId[FormatId["sint32x3"] = 28] = "sint32x3";
     FormatId[FormatId["sint32x4"] = 29] = "sint32x4";
+    // Formats added to the spec after the original set. Appended so that existing ids remain stable.
+    FormatId[FormatId["uint8"] = 30] = "uint8";
+    FormatId[FormatId["sint8"] = 31] = "sint8";
+    FormatId[FormatId["unorm8"] = 32] = "unorm8";
+    FormatId[FormatId["snorm8"] = 33] = "snorm8";
+    FormatId[FormatId["uint16"] = 34] = "uint16";
+    FormatId[FormatId["sint16"] = 35] = "sint16";
+    FormatId[FormatId["unorm16"] = 36] = "unorm16";
+    FormatId[FormatId["snorm16"] = 37] = "snorm16";
+    FormatId[FormatId["float16"] = 38] = "float16";
+    FormatId[FormatId["unorm10-10-10-2"] = 39] = "unorm10-10-10-2";
+    FormatId[FormatId["unorm8x4-bgra"] = 40] = "unorm8x4-bgra";
 })(FormatId || (FormatId = {}));
 ;
 var StepModeId;
@@ -66,6 +84,21 @@ var StepModeId;
     StepModeId[StepModeId["instance"] = 32768] = "instance";
 })(StepModeId || (StepModeId = {}));
 ;
+// The compact encoding begins with the topology byte, which never has the high bit set. The extended
+// encoding begins with a header byte that has the high bit set and the encoding version in the low bits.
+const ExtendedEncodingHeader = 0x80;
+const ExtendedEncodingVersion = 1;
+// Largest values that can be represented by the fields of the compact encoding.
+const CompactMaxAttribCount = 0x0F;
+const CompactMaxArrayStride = 0x07FF;
+const CompactMaxOffset = 0x0FFF;
+const CompactMaxShaderLocation = 0x0F;
+// Largest value that can be written as a variable-length field in the extended encoding.
+const MaxVarUint = 0xFFFFFFFF;
+// Binary manifests begin with a 4 byte magic number ('GLMF'), a 4 byte version, and a 4 byte entry count.
+// Each entry is then a 4 byte layout ID, a 2 byte length, and that many bytes of serialized layout.
+const ManifestMagic = 0x464D4C47;
+const ManifestVersion = 1;
 const Uint8ToHex = new Array(256);
 for (let i = 0; i <= 0xFF; ++i) {
     Uint8ToHex[i] = i.toString(16).padStart(2, '0');
@@ -74,6 +107,71 @@ const HexToUint8 = new Array(256);
 for (let i = 0; i <= 0xFF; ++i) {
     HexToUint8[i.toString(16).padStart(2, '0')] = i;
 }
+function getFormatId(format) {
+    const formatId = FormatId[format];
+    if (typeof formatId != 'number') {
+        throw new Error(`Unknown vertex format "${format}".`);
+    }
+    return formatId;
+}
+function getFormatFromId(formatId) {
+    const format = FormatId[formatId];
+    if (format === undefined) {
+        throw new Error(`Unknown vertex format id ${formatId} in serialized GeometryLayout.`);
+    }
+    return format;
+}
+export function getFormatComponentCount(format) {
+    if (format == 'unorm10-10-10-2') {
+        return 4;
+    }
+    const componentMatch = format.match(/x(\d)/);
+    return componentMatch ? parseInt(componentMatch[1], 10) : 1;
+}
+function getFormatByteSize(format) {
+    if (format == 'unorm10-10-10-2' || format == 'unorm8x4-bgra') {
+        return 4;
+    }
+    const componentBits = parseInt(format.match(/\d+/)[0], 10);
+    return getFormatComponentCount(format) * componentBits / 8;
+}
+function validateVarUint(value, name) {
+    if (!Number.isInteger(value) || value < 0 || value > MaxVarUint) {
+        throw new Error(`GeometryLayout ${name} must be an integer between 0 and ${MaxVarUint}, got ${value}.`);
+    }
+}
+// Variable-length fields are written as unsigned LEB128: 7 bits per byte, with the high bit set on
+// every byte except the last.
+function varUintByteLength(value) {
+    let byteLength = 1;
+    while (value > 0x7F) {
+        value = Math.floor(value / 128);
+        byteLength++;
+    }
+    return byteLength;
+}
+function writeVarUint(dataView, offset, value) {
+    while (value > 0x7F) {
+        dataView.setUint8(offset++, (value & 0x7F) | 0x80);
+        value = Math.floor(value / 128);
+    }
+    dataView.setUint8(offset++, value);
+    return offset;
+}
+function readVarUint(dataView, cursor) {
+    let value = 0;
+    let scale = 1;
+    let byte;
+    do {
+        if (cursor.offset >= dataView.byteLength) {
+            throw new Error('Unexpected end of data while reading a serialized GeometryLayout.');
+        }
+        byte = dataView.getUint8(cursor.offset++);
+        value += (byte & 0x7F) * scale;
+        scale *= 128;
+    } while (byte & 0x80);
+    return value;
+}
 export class GeometryLayout {
     id;
     buffers;
@@ -114,7 +212,7 @@ export class GeometryLayout {
     }
     getLocationBaseType(shaderLocation) {
         const format = this.getLocationFormat(shaderLocation);
-        if (format.startsWith('float') || format.startsWith('unorm') || format.startsWith('unorm')) {
+        if (format.startsWith('float') || format.startsWith('unorm') || format.startsWith('snorm')) {
             return 'f32';
         }
         else if (format.startsWith('uint')) {
@@ -123,14 +221,91 @@ export class GeometryLayout {
         else if (format.startsWith('sint')) {
             return 'i32';
         }
-        // Should not get here.
-        console.warn(`Shader Location ${shaderLocation} has format "${format}" with an unknown base type.`);
-        return null;
+        throw new Error(`Shader location ${shaderLocation} has format "${format}" with an unknown base type.`);
+    }
+    // Returns the WGSL type that a vertex shader input for the given location would naturally use, such as
+    // 'vec3f' for 'float32x3' or 'u32' for 'uint32'.
+    getLocationWgslType(shaderLocation) {
+        const baseType = this.getLocationBaseType(shaderLocation);
+        const componentCount = getFormatComponentCount(this.getLocationFormat(shaderLocation));
+        if (componentCount == 1) {
+            return baseType;
+        }
+        return `vec${componentCount}${baseType[0]}`;
+    }
+    // Given the shader locations that a shader requires, returns the ones that this layout doesn't provide.
+    getMissingLocations(requiredLocations) {
+        const missingLocations = [];
+        for (const shaderLocation of requiredLocations) {
+            if (!this.locationsUsed.has(shaderLocation)) {
+                missingLocations.push(shaderLocation);
+            }
+        }
+        return missingLocations;
+    }
+    // Generates a WGSL struct that can be used as the input of a vertex shader using this layout. Member
+    // names are given as a map of names to shader locations (in the same form as the AttribLocation table),
+    // and any locations used by the layout that aren't named will be called `location{N}`. Builtins are given
+    // as a map of member names to WGSL vertex builtins, such as { instanceIndex: 'instance_index' }.
+    getVertexStructWgsl(options = {}) {
+        const structName = options.structName ?? 'VertexIn';
+        const locationNames = new Map();
+        for (const [name, shaderLocation] of Object.entries(options.memberNames ?? {})) {
+            if (locationNames.has(shaderLocation)) {
+                throw new Error(`Shader location ${shaderLocation} given multiple member names: "${locationNames.get(shaderLocation)}" and "${name}".`);
+            }
+            locationNames.set(shaderLocation, name);
+        }
+        const members = [];
+        for (const [name, builtin] of Object.entries(options.builtins ?? {})) {
+            members.push(`@builtin(${builtin}) ${name}: u32,`);
+        }
+        const shaderLocations = [...this.locationsUsed].sort((a, b) => a - b);
+        for (const shaderLocation of shaderLocations) {
+            const name = locationNames.get(shaderLocation) ?? `location${shaderLocation}`;
+            members.push(`@location(${shaderLocation}) ${name}: ${this.getLocationWgslType(shaderLocation)},`);
+        }
+        return `struct ${structName} {\n  ${members.join('\n  ')}\n}\n`;
+    }
+    #fitsCompactEncoding() {
+        for (const buffer of this.buffers) {
+            if (buffer.attributes.length > CompactMaxAttribCount || buffer.arrayStride > CompactMaxArrayStride) {
+                return false;
+            }
+            for (const attrib of buffer.attributes) {
+                if ((attrib.offset || 0) > CompactMaxOffset || attrib.shaderLocation > CompactMaxShaderLocation) {
+                    return false;
+                }
+            }
+        }
+        return true;
+    }
+    #validate() {
+        for (const buffer of this.buffers) {
+            validateVarUint(buffer.arrayStride, 'arrayStride');
+            for (const attrib of buffer.attributes) {
+                validateVarUint(attrib.offset || 0, 'attribute offset');
+                validateVarUint(attrib.shaderLocation, 'shaderLocation');
+            }
+        }
+    }
+    #getTopologyData8() {
+        let topologyData8 = TopologyId[this.topology];
+        if (this.stripIndexFormat !== undefined) {
+            topologyData8 += StripIndexFormatId[this.stripIndexFormat];
+        }
+        return topologyData8;
     }
     serializeToBuffer() {
         if (this.#serializedBuffer) {
             return this.#serializedBuffer;
         }
+        this.#validate();
+        const outBuffer = this.#fitsCompactEncoding() ? this.#serializeCompact() : this.#serializeExtended();
+        this.#serializedBuffer = outBuffer;
+        return outBuffer;
+    }
+    #serializeCompact() {
         let attribCount = 0;
         for (const buffer of this.buffers) {
             attribCount += buffer.attributes.length;
@@ -140,11 +315,7 @@ export class GeometryLayout {
         const byteLength = 1 + (this.buffers.length * 2) + attribCount * 3;
         const outBuffer = new ArrayBuffer(byteLength);
         const dataView = new DataView(outBuffer);
-        let topologyData8 = TopologyId[this.topology];
-        if (this.stripIndexFormat !== undefined) {
-            topologyData8 += StripIndexFormatId[this.stripIndexFormat];
-        }
-        dataView.setUint8(0, topologyData8);
+        dataView.setUint8(0, this.#getTopologyData8());
         let offset = 1;
         for (const buffer of this.buffers) {
             let bufferData16 = buffer.attributes.length; // Lowest 4 bits
@@ -156,11 +327,38 @@ export class GeometryLayout {
                 let attribData16 = attrib.offset || 0; // Lowest 12 bits
                 attribData16 += attrib.shaderLocation << 12; // Highest 4 bits
                 dataView.setUint16(offset, attribData16, true);
-                dataView.setUint8(offset + 2, FormatId[attrib.format]);
+                dataView.setUint8(offset + 2, getFormatId(attrib.format));
                 offset += 3;
             }
         }
-        this.#serializedBuffer = outBuffer;
+        return outBuffer;
+    }
+    #serializeExtended() {
+        // The header and primitive topology take 1 byte each. Each buffer takes 1 byte for the step mode plus
+        // variable-length attribute count and stride, and each attribute takes 1 byte for the format plus
+        // variable-length offset and shader location.
+        let byteLength = 2;
+        for (const buffer of this.buffers) {
+            byteLength += 1 + varUintByteLength(buffer.attributes.length) + varUintByteLength(buffer.arrayStride);
+            for (const attrib of buffer.attributes) {
+                byteLength += 1 + varUintByteLength(attrib.offset || 0) + varUintByteLength(attrib.shaderLocation);
+            }
+        }
+        const outBuffer = new ArrayBuffer(byteLength);
+        const dataView = new DataView(outBuffer);
+        dataView.setUint8(0, ExtendedEncodingHeader | ExtendedEncodingVersion);
+        dataView.setUint8(1, this.#getTopologyData8());
+        let offset = 2;
+        for (const buffer of this.buffers) {
+            dataView.setUint8(offset++, (buffer.stepMode || 'vertex') == 'instance' ? 1 : 0);
+            offset = writeVarUint(dataView, offset, buffer.attributes.length);
+            offset = writeVarUint(dataView, offset, buffer.arrayStride);
+            for (const attrib of buffer.attributes) {
+                offset = writeVarUint(dataView, offset, attrib.offset || 0);
+                offset = writeVarUint(dataView, offset, attrib.shaderLocation);
+                dataView.setUint8(offset++, getFormatId(attrib.format));
+            }
+        }
         return outBuffer;
     }
     serializeToString() {
@@ -177,7 +375,17 @@ export class GeometryLayout {
     }
     static deserializeFromBuffer(inBuffer, bufferOffest, bufferLength) {
         const dataView = new DataView(inBuffer, bufferOffest, bufferLength);
-        const topologyData8 = dataView.getUint8(0);
+        const headerData8 = dataView.getUint8(0);
+        if (headerData8 & ExtendedEncodingHeader) {
+            const version = headerData8 & ~ExtendedEncodingHeader;
+            if (version != ExtendedEncodingVersion) {
+                throw new Error(`Unsupported serialized GeometryLayout encoding version ${version}.`);
+            }
+            return GeometryLayout.#deserializeExtended(dataView);
+        }
+        return GeometryLayout.#deserializeCompact(dataView);
+    }
+    static #deserializeTopology(topologyData8) {
         const topology = TopologyId[topologyData8 & TopologyMask];
         let stripIndexFormat = 'uint32';
         switch (topology) {
@@ -185,6 +393,10 @@ export class GeometryLayout {
             case 'line-strip':
                 stripIndexFormat = StripIndexFormatId[topologyData8 & 0x08];
         }
+        return { topology, stripIndexFormat };
+    }
+    static #deserializeCompact(dataView) {
+        const { topology, stripIndexFormat } = GeometryLayout.#deserializeTopology(dataView.getUint8(0));
         const buffers = [];
         let offset = 1;
         while (offset < dataView.byteLength) {
@@ -192,7 +404,7 @@ export class GeometryLayout {
             const attribCount = bufferData16 & 0x0F;
             let buffer = {
                 attributes: new Array(attribCount),
-                arrayStride: (bufferData16 >> 4) & 0x08FF,
+                arrayStride: (bufferData16 >> 4) & CompactMaxArrayStride,
                 stepMode: StepModeId[bufferData16 & 0x8000],
             };
             buffers.push(buffer);
@@ -202,13 +414,41 @@ export class GeometryLayout {
                 buffer.attributes[i] = {
                     offset: attribData16 & 0x0FFF,
                     shaderLocation: (attribData16 >> 12) & 0x0F,
-                    format: FormatId[dataView.getUint8(offset + 2)]
+                    format: getFormatFromId(dataView.getUint8(offset + 2))
                 };
                 offset += 3;
             }
         }
         return new GeometryLayout(buffers, topology, stripIndexFormat);
     }
+    static #deserializeExtended(dataView) {
+        const { topology, stripIndexFormat } = GeometryLayout.#deserializeTopology(dataView.getUint8(1));
+        const buffers = [];
+        const cursor = { offset: 2 };
+        while (cursor.offset < dataView.byteLength) {
+            const stepMode = dataView.getUint8(cursor.offset++) ? 'instance' : 'vertex';
+            const attribCount = readVarUint(dataView, cursor);
+            let buffer = {
+                attributes: new Array(attribCount),
+                arrayStride: readVarUint(dataView, cursor),
+                stepMode,
+            };
+            buffers.push(buffer);
+            for (let i = 0; i < attribCount; ++i) {
+                const offset = readVarUint(dataView, cursor);
+                const shaderLocation = readVarUint(dataView, cursor);
+                if (cursor.offset >= dataView.byteLength) {
+                    throw new Error('Unexpected end of data while reading a serialized GeometryLayout.');
+                }
+                buffer.attributes[i] = {
+                    offset,
+                    shaderLocation,
+                    format: getFormatFromId(dataView.getUint8(cursor.offset++))
+                };
+            }
+        }
+        return new GeometryLayout(buffers, topology, stripIndexFormat);
+    }
     static deserializeFromString(value) {
         const array = new Uint8Array(value.length / 2);
         for (let i = 0; i < array.length; ++i) {
@@ -216,8 +456,12 @@ export class GeometryLayout {
             array[i] = HexToUint8[value.substring(strOffset, strOffset + 2)];
         }
         const layout = GeometryLayout.deserializeFromBuffer(array.buffer);
-        layout.#serializedBuffer = array.buffer;
-        layout.#serializedString = value;
+        // Only retain the given value as the serialized form if it's the one that serializing the layout would
+        // produce, so that equivalent layouts always end up with the same key.
+        if (!(array[0] & ExtendedEncodingHeader) || !layout.#fitsCompactEncoding()) {
+            layout.#serializedBuffer = array.buffer;
+            layout.#serializedString = value;
+        }
         return layout;
     }
 }
@@ -229,8 +473,9 @@ export class GeometryLayoutCache {
     getLayout(id) {
         return this.#cache.get(id);
     }
-    addLayoutToCache(layout, key) {
-        layout.id = this.#nextId++;
+    addLayoutToCache(layout, key, id) {
+        layout.id = id ?? this.#nextId++;
+        this.#nextId = Math.max(this.#nextId, layout.id + 1);
         Object.freeze(layout);
         this.#keyMap.set(key, layout.id);
         this.#cache.set(layout.id, layout);
@@ -241,7 +486,21 @@ export class GeometryLayoutCache {
         if (id !== undefined) {
             return this.#cache.get(id);
         }
-        const layout = GeometryLayout.deserializeFromString(key);
+        let layout = GeometryLayout.deserializeFromString(key);
+        // Layouts that fit the compact encoding may still be given in the extended encoding. Make sure that
+        // both forms of the key map to the same cached layout.
+        const canonicalKey = layout.serializeToString();
+        if (canonicalKey != key) {
+            const canonicalId = this.#keyMap.get(canonicalKey);
+            if (canonicalId !== undefined) {
+                layout = this.#cache.get(canonicalId);
+            }
+            else {
+                layout = this.addLayoutToCache(layout, canonicalKey);
+            }
+            this.#keyMap.set(key, layout.id);
+            return layout;
+        }
         return this.addLayoutToCache(layout, key);
     }
     createLayout(attribBuffers, topology, indexFormat = 'uint32') {
@@ -258,6 +517,7 @@ export class GeometryLayoutCache {
             }
             buffers.push({
                 arrayStride: buffer.arrayStride,
+                stepMode: buffer.stepMode ?? 'vertex',
                 attributes
             });
         }
@@ -269,6 +529,111 @@ export class GeometryLayoutCache {
         }
         return this.addLayoutToCache(layout, key);
     }
+    // Returns a JSON-compatible object mapping every cached layout ID to its serialized string.
+    exportManifest() {
+        const layouts = {};
+        for (const [id, layout] of this.#cache) {
+            layouts[id] = layout.serializeToString();
+        }
+        return { version: ManifestVersion, layouts };
+    }
+    exportManifestToBuffer() {
+        let byteLength = 12;
+        for (const layout of this.#cache.values()) {
+            byteLength += 6 + layout.serializeToBuffer().byteLength;
+        }
+        const outBuffer = new ArrayBuffer(byteLength);
+        const outArray = new Uint8Array(outBuffer);
+        const dataView = new DataView(outBuffer);
+        dataView.setUint32(0, ManifestMagic, true);
+        dataView.setUint32(4, ManifestVersion, true);
+        dataView.setUint32(8, this.#cache.size, true);
+        let offset = 12;
+        for (const [id, layout] of this.#cache) {
+            const layoutBuffer = layout.serializeToBuffer();
+            // Each entry stores its length as a uint16.
+            if (layoutBuffer.byteLength > 0xFFFF) {
+                throw new Error(`GeometryLayout ${id} serializes to ${layoutBuffer.byteLength} bytes, which is too large for a binary manifest. Use exportManifest instead.`);
+            }
+            dataView.setUint32(offset, id, true);
+            dataView.setUint16(offset + 4, layoutBuffer.byteLength, true);
+            outArray.set(new Uint8Array(layoutBuffer), offset + 6);
+            offset += 6 + layoutBuffer.byteLength;
+        }
+        return outBuffer;
+    }
+    // Imports a manifest produced by exportManifest (either as an object or a JSON string) or by
+    // exportManifestToBuffer. Imported layouts keep the IDs given in the manifest. Throws without modifying the
+    // cache if the manifest assigns an ID that's already in use to a different layout, or assigns a new ID to
+    // a layout that's already cached.
+    importManifest(manifest) {
+        const entries = manifest instanceof ArrayBuffer ?
+            GeometryLayoutCache.#readBinaryManifest(manifest) :
+            GeometryLayoutCache.#readJsonManifest(typeof manifest == 'string' ? JSON.parse(manifest) : manifest);
+        // Validate every entry before adding any of them to the cache.
+        const newLayouts = new Map();
+        const newKeys = new Map();
+        for (const { id, layout } of entries) {
+            if (!Number.isInteger(id) || id < 1 || id > 0xFFFFFFFF) {
+                throw new Error(`Invalid GeometryLayout ID ${id} in manifest.`);
+            }
+            const key = layout.serializeToString();
+            const existingId = this.#keyMap.get(key) ?? newKeys.get(key);
+            const existingLayout = this.#cache.get(id) ?? newLayouts.get(id);
+            if (existingLayout && existingLayout.serializeToString() != key) {
+                throw new Error(`Manifest assigns GeometryLayout ID ${id} to layout ${key}, but it is already used by layout ${existingLayout.serializeToString()}.`);
+            }
+            if (existingId !== undefined && existingId != id) {
+                throw new Error(`Manifest assigns GeometryLayout ID ${id} to layout ${key}, but it already has ID ${existingId}.`);
+            }
+            if (!existingLayout) {
+                newLayouts.set(id, layout);
+                newKeys.set(key, id);
+            }
+        }
+        for (const [id, layout] of newLayouts) {
+            this.addLayoutToCache(layout, layout.serializeToString(), id);
+        }
+    }
+    static #readJsonManifest(manifest) {
+        if (manifest?.version != ManifestVersion || typeof manifest.layouts != 'object') {
+            throw new Error(`Unsupported GeometryLayout manifest version ${manifest?.version}.`);
+        }
+        const entries = [];
+        for (const [id, key] of Object.entries(manifest.layouts)) {
+            entries.push({ id: Number(id), layout: GeometryLayout.deserializeFromString(key) });
+        }
+        return entries;
+    }
+    static #readBinaryManifest(inBuffer) {
+        const dataView = new DataView(inBuffer);
+        if (dataView.byteLength < 12 || dataView.getUint32(0, true) != ManifestMagic) {
+            throw new Error('Buffer is not a GeometryLayout manifest.');
+        }
+        const version = dataView.getUint32(4, true);
+        if (version != ManifestVersion) {
+            throw new Error(`Unsupported GeometryLayout manifest version ${version}.`);
+        }
+        const entryCount = dataView.getUint32(8, true);
+        const entries = [];
+        let offset = 12;
+        for (let i = 0; i < entryCount; ++i) {
+            if (offset + 6 > dataView.byteLength) {
+                throw new Error('Unexpected end of data while reading a GeometryLayout manifest.');
+            }
+            const id = dataView.getUint32(offset, true);
+            const byteLength = dataView.getUint16(offset + 4, true);
+            offset += 6;
+            if (offset + byteLength > dataView.byteLength) {
+                throw new Error('Unexpected end of data while reading a GeometryLayout manifest.');
+            }
+            // Copy the layout bytes out so that the layout doesn't hold a reference to the whole manifest.
+            const layoutBuffer = inBuffer.slice(offset, offset + byteLength);
+            entries.push({ id, layout: GeometryLayout.deserializeFromBuffer(layoutBuffer) });
+            offset += byteLength;
+        }
+        return entries;
+    }
 }
 ;
 // This function takes an array of buffers and the attributes associated with them and combines and
@@ -279,10 +644,27 @@ export class GeometryLayoutCache {
 // attributes. Then it returns the same but reorganized and possibly compibned. The output array
 // may not have the same number of elements as the input array, and the buffers may have different
 // offsets than the ones specified in the inputs! Also, the buffer passed in does not need to be a
-// GPUBuffer, it can be any value you want (such as an index) that can be used as a Map key.
-export function NormalizeBufferLayout(bufferLayouts) {
-    // Do a first pass over the inputs to sort first by buffer, then by stride.
+// GPUBuffer, it can be any value you want (such as an index) that can be used as a Map key. Layouts
+// may also give a stepMode, and vertex and instance attributes are never combined into one layout.
+//
+// Options may specify a maxVertexBuffers limit (usually the device's limit of the same name), in
+// which case an error describing the resulting buffers is thrown if the normalized layout needs
+// more buffers than that. Attributes that share a shader location always throw, while attributes
+// that overlap each other or extend past their buffer's stride are reported as diagnostics. If an
+// array is given as options.diagnostics the messages are appended to it, otherwise they're logged
+// as warnings.
+export function NormalizeBufferLayout(bufferLayouts, options = {}) {
+    const reportDiagnostic = (message) => {
+        if (options.diagnostics) {
+            options.diagnostics.push(message);
+        }
+        else {
+            console.warn(message);
+        }
+    };
+    // Do a first pass over the inputs to sort first by buffer, then by step mode and stride.
     const bufferStrideAttribs = new Map();
+    const shaderLocations = new Set();
     for (const layout of bufferLayouts) {
         // Skip any buffers that don't have attributes. (Why did you even define that buffer?)
         if (layout.attributes.length == 0) {
@@ -293,14 +675,21 @@ export function NormalizeBufferLayout(bufferLayouts) {
             bufferStrides = new Map();
             bufferStrideAttribs.set(layout.buffer, bufferStrides);
         }
-        let strideAttribs = bufferStrides.get(layout.arrayStride);
+        // Vertex and instance rate attributes can never share a buffer layout, even if they share a buffer.
+        const stepMode = layout.stepMode ?? 'vertex';
+        const strideKey = `${stepMode}|${layout.arrayStride}`;
+        let strideAttribs = bufferStrides.get(strideKey);
         if (!strideAttribs) {
-            strideAttribs = [];
-            bufferStrides.set(layout.arrayStride, strideAttribs);
+            strideAttribs = { stepMode, arrayStride: layout.arrayStride, attribs: [] };
+            bufferStrides.set(strideKey, strideAttribs);
         }
         for (const attrib of layout.attributes) {
+            if (shaderLocations.has(attrib.shaderLocation)) {
+                throw new Error(`Multiple attributes use shader location ${attrib.shaderLocation}.`);
+            }
+            shaderLocations.add(attrib.shaderLocation);
             // The buffer and attribute offsets
-            strideAttribs.push({
+            strideAttribs.attribs.push({
                 shaderLocation: attrib.shaderLocation,
                 offset: attrib.offset + (layout.bufferOffset ?? 0),
                 format: attrib.format,
@@ -308,19 +697,34 @@ export function NormalizeBufferLayout(bufferLayouts) {
         }
     }
     const normalizedLayouts = [];
-    const pushLayout = (buffer, bufferOffset, arrayStride, attributes) => {
+    const pushLayout = (buffer, bufferOffset, arrayStride, stepMode, attributes) => {
+        // Attributes are sorted by offset at this point, so each one can only overlap the earlier attributes that
+        // haven't ended by its offset.
+        let openAttribs = [];
+        for (const attrib of attributes) {
+            const attribEnd = attrib.offset + getFormatByteSize(attrib.format);
+            if (arrayStride != 0 && attribEnd > arrayStride) {
+                reportDiagnostic(`Attribute at shader location ${attrib.shaderLocation} (offset ${attrib.offset}, format ${attrib.format}) extends past the arrayStride of ${arrayStride}.`);
+            }
+            openAttribs = openAttribs.filter((open) => open.end > attrib.offset);
+            for (const open of openAttribs) {
+                reportDiagnostic(`Attributes at shader locations ${open.attrib.shaderLocation} and ${attrib.shaderLocation} overlap.`);
+            }
+            openAttribs.push({ attrib, end: attribEnd });
+        }
         normalizedLayouts.push({
             buffer,
             bufferOffset,
             arrayStride,
+            stepMode,
             attributes: attributes.sort((a, b) => a.shaderLocation - b.shaderLocation)
         });
     };
     // Now, for each buffer/stride combo find the minimum offset used by any of the attributes and treat that as the
     // buffer binding offset instead. Then split any buffers where the adjusted offset is greater than the
     // stride into separate buffers.
-    for (const [buffer, strideAttribs] of bufferStrideAttribs) {
-        for (const [stride, attribs] of strideAttribs) {
+    for (const [buffer, bufferStrides] of bufferStrideAttribs) {
+        for (const { stepMode, arrayStride: stride, attribs } of bufferStrides.values()) {
             // Sort the attributes by offset so that interleaved attributes are grouped.
             attribs.sort((a, b) => a.offset - b.offset);
             // Get the minimum offset from all of the attributes. That will be the final buffer offset.
@@ -330,9 +734,9 @@ export function NormalizeBufferLayout(bufferLayouts) {
                 let adjustedOffset = attrib.offset - minAttribOffset;
                 // Sometimes attribs will be fed in that are separate arrays but packed into the same buffer.
                 // If the offset is greater than the stride, just treat it as a new buffer with the bigger
-                // offset as the base.
-                if (adjustedOffset >= stride) {
-                    pushLayout(buffer, minAttribOffset, stride, attributes);
+                // offset as the base. Attributes with a stride of 0 always stay in the first buffer.
+                if (attributes.length && adjustedOffset >= stride) {
+                    pushLayout(buffer, minAttribOffset, stride, stepMode, attributes);
                     minAttribOffset = attrib.offset;
                     adjustedOffset = 0;
                     attributes = [];
@@ -343,9 +747,16 @@ export function NormalizeBufferLayout(bufferLayouts) {
                     format: attrib.format,
                 });
             }
-            pushLayout(buffer, minAttribOffset, stride, attributes);
+            pushLayout(buffer, minAttribOffset, stride, stepMode, attributes);
         }
     }
+    if (options.maxVertexBuffers !== undefined && normalizedLayouts.length > options.maxVertexBuffers) {
+        const bufferDescriptions = normalizedLayouts.map((layout, i) => {
+            const locations = layout.attributes.map((attrib) => attrib.shaderLocation).join(', ');
+            return `  [${i}] ${layout.stepMode} arrayStride ${layout.arrayStride}, bufferOffset ${layout.bufferOffset}, shader locations ${locations}`;
+        });
+        throw new Error(`Normalized layout requires ${normalizedLayouts.length} vertex buffers, but maxVertexBuffers is ${options.maxVertexBuffers}:\n${bufferDescriptions.join('\n')}`);
+    }
     // Finally, sort the buffer layouts by their first attribute's shader location and return.
     return normalizedLayouts.sort((a, b) => a.attributes[0].shaderLocation - b.attributes[0].shaderLocation);
 }
@@ -0,0 +1,514 @@
+// Optimizations for indexed triangle lists that reduce the cost of vertex processing on the GPU. Every function here
+// is pure: it takes index and vertex arrays and returns new ones without modifying its inputs.
+//
+// Vertex remaps follow the same convention throughout: remap[oldVertex] is the vertex's index after the remap, or
+// UNUSED_VERTEX if the vertex was dropped.
+
+import { getVertexFormatInfo, readVertexAttribute } from './vertex-format.js';
+
+export const UNUSED_VERTEX = 0xFFFFFFFF;
+
+// Size of the FIFO cache used to measure ACMR. Matches what most modern GPUs effectively provide.
+const DEFAULT_CACHE_SIZE = 16;
+
+// Constants for the Forsyth vertex cache optimization, from "Linear-Speed Vertex Cache Optimisation" by Tom Forsyth.
+const FORSYTH_CACHE_SIZE = 32;
+const FORSYTH_CACHE_DECAY_POWER = 1.5;
+const FORSYTH_LAST_TRIANGLE_SCORE = 0.75;
+const FORSYTH_VALENCE_BOOST_SCALE = 2.0;
+const FORSYTH_VALENCE_BOOST_POWER = 0.5;
+
+/**
+ * A single attribute stream of vertex data, in the same form that buildGeometryBatch uses internally.
+ * @typedef {Object} VertexStream
+ * @prop {Uint8Array} byteArray
+ * @prop {number} offset - Byte offset of the first vertex's value.
+ * @prop {number} arrayStride
+ * @prop {GPUVertexFormat} format
+ */
+
+/**
+ * Statistics about the effect of optimizing a Geometry
+ * @typedef {Object} GeometryOptimizationStats
+ * @prop {number} acmrBefore - Average cache miss ratio (vertex shader invocations per triangle) before optimizing.
+ * @prop {number} acmrAfter - Average cache miss ratio of the indices that are uploaded, after optimizing and building
+ *   any meshlets.
+ * @prop {number} vertexCountBefore
+ * @prop {number} vertexCountAfter
+ * @prop {number} triangleCount
+ */
+
+/**
+ * Optimization passes to run. Passing true instead of an object enables every pass.
+ * @typedef {Object} GeometryOptimizeOptions
+ * @prop {boolean} [weld=true] - Merge vertices whose attribute values are bitwise identical.
+ * @prop {boolean} [vertexCache=true] - Reorder triangles for the post-transform vertex cache.
+ * @prop {boolean} [overdraw=true] - Reorder clusters of triangles so those facing outwards are drawn first.
+ * @prop {number} [overdrawThreshold=1.05] - How much worse the ACMR may get in exchange for less overdraw.
+ * @prop {boolean} [vertexFetch=true] - Reorder vertices in the order they're first used by the indices.
+ */
+
+/**
+ * Simulates a FIFO post-transform vertex cache and returns the average number of cache misses per triangle.
+ * @param {Uint16Array | Uint32Array | number[]} indices - Triangle list indices.
+ * @param {number} [cacheSize=16]
+ * @returns {number}
+ */
+export function computeACMR(indices, cacheSize = DEFAULT_CACHE_SIZE) {
+  const triangleCount = Math.floor(indices.length / 3);
+  if (triangleCount == 0) { return 0; }
+
+  const cache = new Map(); // Map of vertex to the timestamp it entered the cache at.
+  let timestamp = 0;
+  let misses = 0;
+  for (let i = 0; i < triangleCount * 3; ++i) {
+    const vertex = indices[i];
+    const entered = cache.get(vertex);
+    if (entered === undefined || timestamp - entered >= cacheSize) {
+      cache.set(vertex, timestamp++);
+      misses++;
+    }
+  }
+  return misses / triangleCount;
+}
+
+/**
+ * Finds vertices whose values are bitwise identical in every stream and returns a remap which merges them.
+ * @param {VertexStream[]} streams
+ * @param {number} vertexCount
+ * @returns {{ remap: Uint32Array, vertexCount: number }}
+ */
+export function weldVertices(streams, vertexCount) {
+  const remap = new Uint32Array(vertexCount);
+  const uniqueVertices = new Map(); // Map of vertex key to remapped index
+  const byteSizes = streams.map((stream) => getVertexFormatInfo(stream.format).byteSize);
+
+  const bytes = [];
+  for (let v = 0; v < vertexCount; ++v) {
+    bytes.length = 0;
+    for (let s = 0; s < streams.length; ++s) {
+      const stream = streams[s];
+      const start = stream.offset + v * stream.arrayStride;
+      for (let b = 0; b < byteSizes[s]; ++b) {
+        bytes.push(stream.byteArray[start + b]);
+      }
+    }
+    const key = String.fromCharCode(...bytes);
+
+    let index = uniqueVertices.get(key);
+    if (index === undefined) {
+      index = uniqueVertices.size;
+      uniqueVertices.set(key, index);
+    }
+    remap[v] = index;
+  }
+
+  return { remap, vertexCount: uniqueVertices.size };
+}
+
+/**
+ * Applies a vertex remap to indices.
+ * @param {Uint16Array | Uint32Array | number[]} indices
+ * @param {Uint32Array} remap
+ * @returns {Uint32Array}
+ */
+export function remapIndices(indices, remap) {
+  const out = new Uint32Array(indices.length);
+  for (let i = 0; i < indices.length; ++i) {
+    out[i] = remap[indices[i]];
+  }
+  return out;
+}
+
+// Groups streams which are read from the same records of the same array. As in NormalizeBufferLayout, streams in the
+// same array whose offsets are a full stride or more apart are separate arrays packed together. Streams with an
+// arrayStride of 0 aren't part of any group.
+function groupStreamRecords(streams) {
+  const groups = [];
+  const sorted = streams.map((stream, index) => ({ stream, index }))
+                        .filter(({ stream }) => stream.arrayStride != 0)
+                        .sort((a, b) => a.stream.offset - b.stream.offset);
+  for (const entry of sorted) {
+    const { byteArray, arrayStride, offset } = entry.stream;
+    let group = groups.find((g) => g.byteArray == byteArray && g.arrayStride == arrayStride &&
+                                   offset - g.baseOffset < arrayStride);
+    if (!group) {
+      group = { byteArray, arrayStride, baseOffset: offset, entries: [] };
+      groups.push(group);
+    }
+    group.entries.push(entry);
+  }
+  return groups;
+}
+
+// Copies a single record of a group into a new array. The last record may be shorter than the stride if the array
+// ends right after the final attribute.
+function copyStreamRecord(group, source, target, out) {
+  const { byteArray, arrayStride, baseOffset } = group;
+  const start = baseOffset + source * arrayStride;
+  out.set(byteArray.subarray(start, Math.min(start + arrayStride, byteArray.byteLength)), target * arrayStride);
+}
+
+/**
+ * Applies a vertex remap to vertex streams. Streams that are interleaved in the same byte array stay interleaved,
+ * with the same stride and offsets relative to each other, so the remapped streams produce the same layout. Streams
+ * with an arrayStride of 0 are constant for every vertex and are returned unchanged.
+ * @param {VertexStream[]} streams - Objects with the VertexStream properties. Any other properties are preserved.
+ * @param {Uint32Array} remap
+ * @param {number} newVertexCount
+ * @returns {VertexStream[]}
+ */
+export function remapVertexStreams(streams, remap, newVertexCount) {
+  const out = streams.slice();
+  for (const group of groupStreamRecords(streams)) {
+    const remapped = new Uint8Array(newVertexCount * group.arrayStride);
+    for (let v = 0; v < remap.length; ++v) {
+      if (remap[v] == UNUSED_VERTEX) { continue; }
+      copyStreamRecord(group, v, remap[v], remapped);
+    }
+    for (const { stream, index } of group.entries) {
+      out[index] = { ...stream, byteArray: remapped, offset: stream.offset - group.baseOffset };
+    }
+  }
+  return out;
+}
+
+/**
+ * The inverse of remapVertexStreams: builds new vertex streams where vertex i is a copy of vertex sources[i]. Unlike
+ * a remap, a vertex may be copied more than once, which is how vertices are split. Interleaving and streams with an
+ * arrayStride of 0 are handled the same way as in remapVertexStreams.
+ * @param {VertexStream[]} streams - Objects with the VertexStream properties. Any other properties are preserved.
+ * @param {Uint32Array} sources
+ * @returns {VertexStream[]}
+ */
+export function gatherVertexStreams(streams, sources) {
+  const out = streams.slice();
+  for (const group of groupStreamRecords(streams)) {
+    const gathered = new Uint8Array(sources.length * group.arrayStride);
+    for (let v = 0; v < sources.length; ++v) {
+      copyStreamRecord(group, sources[v], v, gathered);
+    }
+    for (const { stream, index } of group.entries) {
+      out[index] = { ...stream, byteArray: gathered, offset: stream.offset - group.baseOffset };
+    }
+  }
+  return out;
+}
+
+function forsythVertexScore(cachePosition, remainingValence) {
+  if (remainingValence == 0) {
+    return -1;
+  }
+
+  let score = 0;
+  if (cachePosition >= 0) {
+    if (cachePosition < 3) {
+      // The most recent triangle's vertices get a fixed score so that the next triangle doesn't simply reuse them.
+      score = FORSYTH_LAST_TRIANGLE_SCORE;
+    } else {
+      const scaler = 1 / (FORSYTH_CACHE_SIZE - 3);
+      score = Math.pow(1 - (cachePosition - 3) * scaler, FORSYTH_CACHE_DECAY_POWER);
+    }
+  }
+  // Boost vertices with few triangles left, so that they're finished off rather than left as isolated triangles.
+  return score + FORSYTH_VALENCE_BOOST_SCALE * Math.pow(remainingValence, -FORSYTH_VALENCE_BOOST_POWER);
+}
+
+/**
+ * Reorders triangles to improve post-transform vertex cache usage, using Tom Forsyth's algorithm.
+ * @param {Uint16Array | Uint32Array | number[]} indices - Triangle list indices.
+ * @param {number} vertexCount
+ * @returns {Uint32Array}
+ */
+export function optimizeVertexCache(indices, vertexCount) {
+  const triangleCount = Math.floor(indices.length / 3);
+  const out = new Uint32Array(triangleCount * 3);
+  if (triangleCount == 0) { return out; }
+
+  // Build the list of triangles that use each vertex.
+  const valence = new Uint32Array(vertexCount);
+  for (let i = 0; i < triangleCount * 3; ++i) {
+    valence[indices[i]]++;
+  }
+  const triangleOffsets = new Uint32Array(vertexCount + 1);
+  for (let v = 0; v < vertexCount; ++v) {
+    triangleOffsets[v + 1] = triangleOffsets[v] + valence[v];
+  }
+  const vertexTriangles = new Uint32Array(triangleCount * 3);
+  const fill = triangleOffsets.slice(0, vertexCount);
+  for (let i = 0; i < triangleCount * 3; ++i) {
+    vertexTriangles[fill[indices[i]]++] = Math.floor(i / 3);
+  }
+
+  const remainingValence = valence.slice();
+  const cachePosition = new Int32Array(vertexCount).fill(-1);
+  const vertexScores = new Float32Array(vertexCount);
+  for (let v = 0; v < vertexCount; ++v) {
+    vertexScores[v] = forsythVertexScore(-1, remainingValence[v]);
+  }
+  const triangleScores = new Float32Array(triangleCount);
+  for (let t = 0; t < triangleCount; ++t) {
+    triangleScores[t] = vertexScores[indices[t * 3]] + vertexScores[indices[t * 3 + 1]] + vertexScores[indices[t * 3 + 2]];
+  }
+  const emitted = new Uint8Array(triangleCount);
+
+  let cache = [];
+  let bestTriangle = 0;
+  for (let t = 1; t < triangleCount; ++t) {
+    if (triangleScores[t] > triangleScores[bestTriangle]) {
+      bestTriangle = t;
+    }
+  }
+  let searchCursor = 0;
+
+  for (let outTriangle = 0; outTriangle < triangleCount; ++outTriangle) {
+    if (bestTriangle < 0) {
+      // Nothing in the cache is connected to a remaining triangle, so continue with the next unemitted one in order.
+      while (emitted[searchCursor]) { searchCursor++; }
+      bestTriangle = searchCursor;
+    }
+
+    const t = bestTriangle;
+    emitted[t] = 1;
+    const triangle = [indices[t * 3], indices[t * 3 + 1], indices[t * 3 + 2]];
+    out.set(triangle, outTriangle * 3);
+
+    // Remove the triangle from each of its vertices' remaining triangles.
+    for (const v of triangle) {
+      const start = triangleOffsets[v];
+      const end = start + remainingValence[v];
+      for (let i = start; i < end; ++i) {
+        if (vertexTriangles[i] == t) {
+          vertexTriangles[i] = vertexTriangles[end - 1];
+          break;
+        }
+      }
+      remainingValence[v]--;
+    }
+
+    // Move the triangle's vertices to the front of the LRU cache. Degenerate triangles only add each vertex once.
+    const newCache = [...new Set(triangle)];
+    for (const v of cache) {
+      if (!triangle.includes(v)) {
+        newCache.push(v);
+      }
+    }
+    // Vertices pushed out of the cache need their scores updated too.
+    for (let i = FORSYTH_CACHE_SIZE; i < newCache.length; ++i) {
+      cachePosition[newCache[i]] = -1;
+    }
+    const touched = newCache;
+    cache = newCache.slice(0, FORSYTH_CACHE_SIZE);
+    for (let i = 0; i < cache.length; ++i) {
+      cachePosition[cache[i]] = i;
+    }
+
+    // Update the scores of every affected vertex and their triangles, and pick the best of those triangles next.
+    bestTriangle = -1;
+    let bestScore = -Infinity;
+    for (const v of touched) {
+      const oldScore = vertexScores[v];
+      const newScore = forsythVertexScore(cachePosition[v], remainingValence[v]);
+      vertexScores[v] = newScore;
+      const start = triangleOffsets[v];
+      for (let i = start; i < start + remainingValence[v]; ++i) {
+        const adjacent = vertexTriangles[i];
+        triangleScores[adjacent] += newScore - oldScore;
+      }
+    }
+    for (const v of cache) {
+      const start = triangleOffsets[v];
+      for (let i = start; i < start + remainingValence[v]; ++i) {
+        const adjacent = vertexTriangles[i];
+        if (triangleScores[adjacent] > bestScore) {
+          bestScore = triangleScores[adjacent];
+          bestTriangle = adjacent;
+        }
+      }
+    }
+  }
+
+  return out;
+}
+
+/**
+ * Reorders clusters of triangles so that those facing away from the center of the mesh are drawn first, which lets
+ * depth testing reject more of the triangles drawn after them. Clusters are split wherever the cache-optimized order
+ * already restarts the vertex cache, so the ACMR is mostly preserved. If the ACMR gets worse than threshold times the
+ * original ACMR the indices are returned unchanged.
+ * @param {Uint16Array | Uint32Array | number[]} indices - Triangle list indices, ideally already cache-optimized.
+ * @param {Float32Array} positions - Tightly packed xyz positions for every vertex.
+ * @param {number} [threshold=1.05]
+ * @returns {Uint32Array}
+ */
+export function optimizeOverdraw(indices, positions, threshold = 1.05) {
+  const triangleCount = Math.floor(indices.length / 3);
+  const input = Uint32Array.from(indices.slice(0, triangleCount * 3));
+  if (triangleCount < 2) { return input; }
+
+  // Split into clusters at triangles which miss the cache on all three vertices.
+  const clusterStarts = [0];
+  const cache = new Map();
+  let timestamp = 0;
+  for (let t = 0; t < triangleCount; ++t) {
+    let misses = 0;
+    for (let i = 0; i < 3; ++i) {
+      const vertex = input[t * 3 + i];
+      const entered = cache.get(vertex);
+      if (entered === undefined || timestamp - entered >= DEFAULT_CACHE_SIZE) {
+        cache.set(vertex, timestamp++);
+        misses++;
+      }
+    }
+    if (misses == 3 && t > 0) {
+      clusterStarts.push(t);
+    }
+  }
+  if (clusterStarts.length < 2) { return input; }
+  clusterStarts.push(triangleCount);
+
+  // Area weighted centroid and normal of each cluster, and of the whole mesh.
+  const meshCentroid = [0, 0, 0];
+  let meshArea = 0;
+  const clusters = [];
+  for (let c = 0; c < clusterStarts.length - 1; ++c) {
+    const cluster = { start: clusterStarts[c], end: clusterStarts[c + 1], centroid: [0, 0, 0], normal: [0, 0, 0], area: 0 };
+    for (let t = cluster.start; t < cluster.end; ++t) {
+      const a = input[t * 3] * 3;
+      const b = input[t * 3 + 1] * 3;
+      const d = input[t * 3 + 2] * 3;
+      const e1 = [positions[b] - positions[a], positions[b + 1] - positions[a + 1], positions[b + 2] - positions[a + 2]];
+      const e2 = [positions[d] - positions[a], positions[d + 1] - positions[a + 1], positions[d + 2] - positions[a + 2]];
+      const n = [e1[1] * e2[2] - e1[2] * e2[1], e1[2] * e2[0] - e1[0] * e2[2], e1[0] * e2[1] - e1[1] * e2[0]];
+      const area = Math.hypot(n[0], n[1], n[2]);
+      for (let i = 0; i < 3; ++i) {
+        cluster.centroid[i] += (positions[a + i] + positions[b + i] + positions[d + i]) / 3 * area;
+        cluster.normal[i] += n[i];
+      }
+      cluster.area += area;
+    }
+    for (let i = 0; i < 3; ++i) {
+      meshCentroid[i] += cluster.centroid[i];
+      if (cluster.area > 0) { cluster.centroid[i] /= cluster.area; }
+    }
+    meshArea += cluster.area;
+    clusters.push(cluster);
+  }
+  if (meshArea > 0) {
+    for (let i = 0; i < 3; ++i) { meshCentroid[i] /= meshArea; }
+  }
+
+  for (const cluster of clusters) {
+    const length = Math.hypot(cluster.normal[0], cluster.normal[1], cluster.normal[2]);
+    cluster.sortKey = 0;
+    if (length > 0) {
+      for (let i = 0; i < 3; ++i) {
+        cluster.sortKey += (cluster.centroid[i] - meshCentroid[i]) * cluster.normal[i] / length;
+      }
+    }
+  }
+
+  // Array.prototype.sort is stable, so clusters with equal keys keep their cache-friendly order.
+  clusters.sort((a, b) => b.sortKey - a.sortKey);
+
+  const out = new Uint32Array(triangleCount * 3);
+  let offset = 0;
+  for (const cluster of clusters) {
+    out.set(input.subarray(cluster.start * 3, cluster.end * 3), offset);
+    offset += (cluster.end - cluster.start) * 3;
+  }
+
+  if (computeACMR(out) > computeACMR(input) * threshold) {
+    return input;
+  }
+  return out;
+}
+
+/**
+ * Computes a remap which orders vertices by when they're first referenced by the indices, so vertex fetches access
+ * memory as linearly as possible. Vertices that aren't referenced are dropped.
+ * @param {Uint16Array | Uint32Array | number[]} indices
+ * @param {number} vertexCount
+ * @returns {{ remap: Uint32Array, vertexCount: number }}
+ */
+export function optimizeVertexFetch(indices, vertexCount) {
+  const remap = new Uint32Array(vertexCount).fill(UNUSED_VERTEX);
+  let nextVertex = 0;
+  for (let i = 0; i < indices.length; ++i) {
+    const vertex = indices[i];
+    if (remap[vertex] == UNUSED_VERTEX) {
+      remap[vertex] = nextVertex++;
+    }
+  }
+  return { remap, vertexCount: nextVertex };
+}
+
+/**
+ * Runs the requested optimization passes over a triangle list.
+ * @param {VertexStream[]} streams - Per-vertex streams. The first stream with a shaderLocation of 0 is used as the
+ *   position for overdraw optimization.
+ * @param {Uint16Array | Uint32Array | number[] | null} indices - Triangle list indices, or null for a non-indexed list.
+ * @param {number} vertexCount
+ * @param {GeometryOptimizeOptions | true} options
+ * @returns {{ streams: VertexStream[], indices: Uint32Array, vertexCount: number, stats: GeometryOptimizationStats }}
+ */
+export function optimizeTriangleList(streams, indices, vertexCount, options) {
+  if (options === true) {
+    options = {};
+  }
+
+  if (!indices) {
+    indices = new Uint32Array(vertexCount);
+    for (let i = 0; i < vertexCount; ++i) { indices[i] = i; }
+  }
+
+  const stats = {
+    acmrBefore: computeACMR(indices),
+    acmrAfter: 0,
+    vertexCountBefore: vertexCount,
+    vertexCountAfter: 0,
+    triangleCount: Math.floor(indices.length / 3),
+  };
+
+  let optimizedIndices = Uint32Array.from(indices);
+
+  if (options.weld ?? true) {
+    const welded = weldVertices(streams, vertexCount);
+    if (welded.vertexCount < vertexCount) {
+      optimizedIndices = remapIndices(optimizedIndices, welded.remap);
+      streams = remapVertexStreams(streams, welded.remap, welded.vertexCount);
+      vertexCount = welded.vertexCount;
+    }
+  }
+
+  if (options.vertexCache ?? true) {
+    optimizedIndices = optimizeVertexCache(optimizedIndices, vertexCount);
+  }
+
+  const positionStream = streams.find((stream) => stream.shaderLocation == 0);
+  if ((options.overdraw ?? true) && positionStream && getVertexFormatInfo(positionStream.format).components >= 3) {
+    const positions = readVertexAttribute(positionStream.byteArray, positionStream.offset, positionStream.arrayStride,
+                                          positionStream.format, vertexCount);
+    const components = getVertexFormatInfo(positionStream.format).components;
+    let xyz = positions;
+    if (components != 3) {
+      xyz = new Float32Array(vertexCount * 3);
+      for (let v = 0; v < vertexCount; ++v) {
+        xyz.set(positions.subarray(v * components, v * components + 3), v * 3);
+      }
+    }
+    optimizedIndices = optimizeOverdraw(optimizedIndices, xyz, options.overdrawThreshold ?? 1.05);
+  }
+
+  if (options.vertexFetch ?? true) {
+    const fetch = optimizeVertexFetch(optimizedIndices, vertexCount);
+    optimizedIndices = remapIndices(optimizedIndices, fetch.remap);
+    streams = remapVertexStreams(streams, fetch.remap, fetch.vertexCount);
+    vertexCount = fetch.vertexCount;
+  }
+
+  stats.acmrAfter = computeACMR(optimizedIndices);
+  stats.vertexCountAfter = vertexCount;
+
+  return { streams, indices: optimizedIndices, vertexCount, stats };
+}
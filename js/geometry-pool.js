@@ -0,0 +1,376 @@
+import { Geometry, getInstanceStreamBinding, prepareGeometries } from './geometry.js';
+import { MemoryCategory, MemoryTracker } from './memory-tracker.js';
+
+const DEFAULT_VERTEX_BUFFER_SIZE = 4 * 1024 * 1024;
+const DEFAULT_INDEX_BUFFER_SIZE = 1024 * 1024;
+
+// All allocations are 4 byte aligned, which satisfies the requirements of setVertexBuffer, writeBuffer, and the
+// firstIndex calculation for both index formats.
+const ALLOCATION_ALIGNMENT = 4;
+
+function alignSize(size) {
+  return Math.ceil(size / ALLOCATION_ALIGNMENT) * ALLOCATION_ALIGNMENT;
+}
+
+/**
+ * A single GPUBuffer that space is suballocated from, tracked with a free list sorted by offset.
+ */
+class BufferArena {
+  buffer;
+  #device;
+  #label;
+  #usage;
+  #freeList;
+  #memoryTracker;
+  #category;
+
+  constructor(device, label, usage, size, memoryTracker, category) {
+    this.#device = device;
+    this.#label = label;
+    this.#usage = usage | GPUBufferUsage.COPY_DST | GPUBufferUsage.COPY_SRC;
+    this.#memoryTracker = memoryTracker;
+    this.#category = category;
+    size = alignSize(size);
+    this.buffer = this.#memoryTracker.createBuffer(device, { label, size, usage: this.#usage }, this.#category);
+    this.#freeList = [{ offset: 0, size }];
+  }
+
+  get capacity() {
+    return this.buffer.size;
+  }
+
+  // Returns the offset of the allocated range, or -1 if there's no free block large enough.
+  allocate(size) {
+    size = alignSize(size);
+    for (let i = 0; i < this.#freeList.length; ++i) {
+      const block = this.#freeList[i];
+      if (block.size >= size) {
+        const offset = block.offset;
+        if (block.size == size) {
+          this.#freeList.splice(i, 1);
+        } else {
+          block.offset += size;
+          block.size -= size;
+        }
+        return offset;
+      }
+    }
+    return -1;
+  }
+
+  free(offset, size) {
+    size = alignSize(size);
+    let i = 0;
+    while (i < this.#freeList.length && this.#freeList[i].offset < offset) {
+      i++;
+    }
+    this.#freeList.splice(i, 0, { offset, size });
+
+    // Coalesce with the following block, then the preceding one.
+    const next = this.#freeList[i + 1];
+    if (next && offset + size == next.offset) {
+      this.#freeList[i].size += next.size;
+      this.#freeList.splice(i + 1, 1);
+    }
+    const prev = this.#freeList[i - 1];
+    if (prev && prev.offset + prev.size == offset) {
+      prev.size += this.#freeList[i].size;
+      this.#freeList.splice(i, 1);
+    }
+  }
+
+  // Replaces the buffer with a larger one that can fit an additional allocation of at least minSize bytes, copying
+  // the existing contents into it.
+  grow(minSize) {
+    const oldBuffer = this.buffer;
+    const newSize = alignSize(Math.max(oldBuffer.size * 2, oldBuffer.size + minSize));
+
+    this.buffer = this.#memoryTracker.createBuffer(this.#device, {
+      label: this.#label,
+      size: newSize,
+      usage: this.#usage,
+    }, this.#category);
+
+    const encoder = this.#device.createCommandEncoder();
+    encoder.copyBufferToBuffer(oldBuffer, 0, this.buffer, 0, oldBuffer.size);
+    this.#device.queue.submit([encoder.finish()]);
+    this.#memoryTracker.destroy(oldBuffer);
+
+    this.free(oldBuffer.size, newSize - oldBuffer.size);
+  }
+
+  destroy() {
+    this.#memoryTracker.destroy(this.buffer);
+    this.#freeList = [];
+  }
+
+  write(offset, byteArray) {
+    if (byteArray.byteLength % 4 != 0) {
+      // writeBuffer requires the size to be a multiple of 4.
+      const paddedArray = new Uint8Array(alignSize(byteArray.byteLength));
+      paddedArray.set(byteArray);
+      byteArray = paddedArray;
+    }
+    this.#device.queue.writeBuffer(this.buffer, offset, byteArray);
+  }
+
+  get stats() {
+    let free = 0;
+    let largestFreeBlock = 0;
+    for (const block of this.#freeList) {
+      free += block.size;
+      largestFreeBlock = Math.max(largestFreeBlock, block.size);
+    }
+    return {
+      capacity: this.capacity,
+      used: this.capacity - free,
+      free,
+      freeBlocks: this.#freeList.length,
+      largestFreeBlock,
+      // 0 when all free space is contiguous, approaching 1 as it's split into many small blocks.
+      fragmentation: free > 0 ? 1 - (largestFreeBlock / free) : 0,
+    };
+  }
+}
+
+/**
+ * Options for creating a GeometryPool
+ * @typedef {Object} GeometryPoolOptions
+ * @prop {string} [label='GeometryPool']
+ * @prop {number} [vertexBufferSize] - Initial size of the vertex buffer in bytes.
+ * @prop {number} [indexBufferSize] - Initial size of the index buffer in bytes.
+ * @prop {number} [maxVertexBuffers] - See GeometryBatchOptions.
+ * @prop {boolean} [repackVertexBuffers] - See GeometryBatchOptions.
+ * @prop {string[]} [diagnostics] - See GeometryBatchOptions.
+ * @prop {function(GeometryPool)} [onResize] - Called whenever either buffer is reallocated.
+ * @prop {MemoryTracker} [memoryTracker] - Tracker the pool's buffers are reported to. Defaults to
+ *   MemoryTracker.default.
+ */
+
+/**
+ * Owns a large vertex buffer and index buffer which Geometry can be streamed into and released from at any time.
+ * Space is suballocated with a free list and data is uploaded with queue.writeBuffer. When there isn't enough space
+ * left the buffers are reallocated at a larger size and the existing contents copied over.
+ *
+ * Reallocating replaces the GPUBuffers of every Geometry in the pool, so any render bundles that were recorded with
+ * them need to be recorded again. Use the onResize option to be notified when that happens.
+ */
+export class GeometryPool {
+  device;
+  #options;
+  #vertexArena;
+  #indexArena;
+  #allocations = new Map(); // Map of Geometry to the allocations it references
+  #onResize;
+  #destroyed = false;
+
+  /**
+   * @param {GPUDevice} device
+   * @param {GeometryPoolOptions} [options]
+   */
+  constructor(device, options = {}) {
+    this.device = device;
+    this.#options = options;
+    this.#onResize = options.onResize;
+
+    const label = options.label ?? 'GeometryPool';
+    const memoryTracker = options.memoryTracker ?? MemoryTracker.default;
+    this.#vertexArena = new BufferArena(device, `${label} Vertices`, GPUBufferUsage.VERTEX,
+                                        options.vertexBufferSize ?? DEFAULT_VERTEX_BUFFER_SIZE,
+                                        memoryTracker, MemoryCategory.vertex);
+    this.#indexArena = new BufferArena(device, `${label} Indices`, GPUBufferUsage.INDEX,
+                                       options.indexBufferSize ?? DEFAULT_INDEX_BUFFER_SIZE,
+                                       memoryTracker, MemoryCategory.index);
+  }
+
+  /**
+   * Allocates space for and uploads a single Geometry.
+   * @param {GeometryDescriptor} desc
+   * @returns {Geometry}
+   */
+  createGeometry(desc) {
+    return this.createGeometries([desc])[0];
+  }
+
+  /**
+   * Allocates space for and uploads Geometry for every descriptor in the array. As with Geometry.CreateBatch,
+   * attribute values that are shared between descriptors in the same call are only uploaded once.
+   * @param {GeometryDescriptor[]} descArray
+   * @returns {Geometry[]}
+   */
+  createGeometries(descArray) {
+    if (this.#destroyed) {
+      throw new Error('Cannot create Geometry from a GeometryPool that has been destroyed.');
+    }
+
+    const preparedGeometries = prepareGeometries(this.device, descArray, this.#options);
+
+    const vertexAllocations = new Map(); // Map of source byte array to allocation
+    const geometries = [];
+
+    for (const prepared of preparedGeometries) {
+      // Every level of a LOD chain is released along with the base Geometry, so they share one list of allocations.
+      const allocations = [];
+      const geom = this.#allocateGeometry(prepared, vertexAllocations, allocations);
+      geom.lods = prepared.lods.map((lod) => ({
+        geometry: this.#allocateGeometry(lod.prepared, vertexAllocations, allocations),
+        distance: lod.distance,
+        screenSize: lod.screenSize,
+      }));
+      geom.lodHysteresis = prepared.lodHysteresis;
+
+      const geometry = new Geometry(this.device, geom);
+
+      this.#allocations.set(geometry, allocations);
+      geometries.push(geometry);
+    }
+
+    // Any allocation above may have caused the buffers to be reallocated, so wait until they're all done to set them.
+    this.#updateBindings(geometries);
+
+    return geometries;
+  }
+
+  #allocateGeometry(prepared, vertexAllocations, allocations) {
+    const vertexBindings = [];
+    for (const bufferLayout of prepared.bufferLayouts) {
+      if (bufferLayout.buffer.instanceStream !== undefined) {
+        vertexBindings.push(getInstanceStreamBinding(bufferLayout));
+        continue;
+      }
+
+      let allocation = vertexAllocations.get(bufferLayout.buffer);
+      if (!allocation) {
+        allocation = this.#allocate(this.#vertexArena, bufferLayout.buffer);
+        vertexAllocations.set(bufferLayout.buffer, allocation);
+      }
+      allocation.refCount++;
+      allocations.push(allocation);
+
+      vertexBindings.push({
+        buffer: null, // Will be populated after
+        offset: allocation.offset + bufferLayout.bufferOffset,
+        size: allocation.size - bufferLayout.bufferOffset,
+      });
+    }
+
+    let indexBinding;
+    if (prepared.indexArray) {
+      const allocation = this.#allocate(this.#indexArena, prepared.indexArray);
+      allocation.refCount++;
+      allocations.push(allocation);
+
+      // As with Geometry.CreateBatch, leave the binding offset at 0 and use firstIndex to select the range, which
+      // keeps indirect draw validation fast.
+      indexBinding = {
+        format: prepared.indexFormat,
+        buffer: null, // Will be populated after
+        offset: 0,
+        size: undefined,
+        firstIndex: allocation.offset / (prepared.indexFormat == 'uint16' ? 2 : 4),
+      };
+    }
+
+    return {
+      layout: prepared.layout,
+      vertexBindings,
+      indexBinding,
+      drawCount: prepared.drawCount,
+      bounds: prepared.bounds,
+      optimizationStats: prepared.optimizationStats,
+      meshlets: prepared.meshlets,
+      pool: this,
+    };
+  }
+
+  #allocate(arena, byteArray) {
+    let offset = arena.allocate(byteArray.byteLength);
+    if (offset < 0) {
+      arena.grow(byteArray.byteLength);
+      this.#updateBindings(this.#allocations.keys());
+      this.#onResize?.(this);
+      offset = arena.allocate(byteArray.byteLength);
+    }
+    arena.write(offset, byteArray);
+    return { arena, offset, size: byteArray.byteLength, refCount: 0 };
+  }
+
+  // Points the given Geometry, and every level of their LOD chains, at the current buffers.
+  #updateBindings(geometries) {
+    for (const baseGeometry of geometries) {
+      for (const { geometry } of baseGeometry.lods) {
+        this.#updateGeometryBindings(geometry);
+      }
+    }
+  }
+
+  #updateGeometryBindings(geometry) {
+    for (const binding of geometry.vertexBindings) {
+      if (binding.instanceStream === undefined) {
+        binding.buffer = this.#vertexArena.buffer;
+      }
+    }
+    if (geometry.indexBinding) {
+      geometry.indexBinding.buffer = this.#indexArena.buffer;
+    }
+  }
+
+  /**
+   * Frees the space used by a Geometry allocated from this pool. Vertex data that's shared with other Geometry is
+   * only freed once all of them have been released. This is the same as calling geometry.destroy(), and the geometry
+   * is marked as destroyed.
+   * @param {Geometry} geometry
+   */
+  release(geometry) {
+    if (this.#destroyed) { return; }
+
+    const allocations = this.#allocations.get(geometry);
+    if (!allocations) {
+      throw new Error('Geometry was not allocated from this pool or has already been released.');
+    }
+    // Geometry.destroy() marks the geometry and its LOD chain as destroyed, then calls back into release().
+    if (!geometry.destroyed) {
+      geometry.destroy();
+      return;
+    }
+    this.#allocations.delete(geometry);
+
+    for (const allocation of allocations) {
+      allocation.refCount--;
+      if (allocation.refCount == 0) {
+        allocation.arena.free(allocation.offset, allocation.size);
+      }
+    }
+  }
+
+  /**
+   * Destroys the pool's buffers. Every Geometry allocated from the pool becomes unusable, whether or not it was
+   * released first, and releasing them afterwards does nothing.
+   */
+  destroy() {
+    if (this.#destroyed) { return; }
+    this.#destroyed = true;
+    this.#allocations.clear();
+    this.#vertexArena.destroy();
+    this.#indexArena.destroy();
+  }
+
+  get vertexBuffer() {
+    return this.#vertexArena.buffer;
+  }
+
+  get indexBuffer() {
+    return this.#indexArena.buffer;
+  }
+
+  /**
+   * Usage and fragmentation statistics for the pool's buffers.
+   */
+  get stats() {
+    return {
+      geometryCount: this.#allocations.size,
+      vertex: this.#vertexArena.stats,
+      index: this.#indexArena.stats,
+    };
+  }
+}
@@ -0,0 +1,482 @@
+// Utilities which build new GeometryDescriptors from existing ones on the CPU, without creating any GPU resources.
+
+import { mat3, vec3 } from 'https://cdn.jsdelivr.net/npm/gl-matrix@3.4.3/esm/index.js';
+import { resolveVertexAttributes } from './geometry.js';
+import { getVertexFormatInfo, readVertexAttribute } from './vertex-format.js';
+
+// The index value which restarts strip primitives for each index array type.
+const PRIMITIVE_RESTART_INDEX = {
+  Uint16Array: 0xFFFF,
+  Uint32Array: 0xFFFFFFFF,
+};
+
+const MERGEABLE_TOPOLOGIES = ['point-list', 'line-list', 'triangle-list'];
+
+function isFloat32Format(format) {
+  const info = getVertexFormatInfo(format);
+  return info.type == 'float' && info.bits == 32;
+}
+
+// Returns the descriptor entry for a resolved attribute, keeping the shaderLocation of entries in desc.attributes.
+function createAttributeEntry(desc, attrib, values, offset, stride, format) {
+  const entry = { values, offset, stride, format };
+  const shaderLocation = desc.attributes?.[attrib.attribName]?.shaderLocation;
+  if (attrib.inAttributes && shaderLocation !== undefined) {
+    entry.shaderLocation = shaderLocation;
+  }
+  return entry;
+}
+
+function setAttributeEntry(desc, attrib, entry) {
+  if (attrib.inAttributes) {
+    desc.attributes[attrib.attribName] = entry;
+  } else {
+    desc[attrib.attribName] = entry;
+  }
+}
+
+// Transforms every value of a position, normal, or tangent attribute. Returns the transformed values, tightly packed
+// with the same number of components as the attribute.
+function transformAttributeValues(attrib, matrices) {
+  const { byteArray, offset, arrayStride, format } = attrib;
+  // Attributes with a stride of 0 hold a single value that's used by every vertex.
+  const count = arrayStride == 0 ? 1 : attrib.vertexCount;
+  const values = readVertexAttribute(byteArray, offset, arrayStride, format, count);
+  const components = values.length / count;
+  const v = vec3.create();
+
+  for (let i = 0; i < count; ++i) {
+    const base = i * components;
+    for (let j = 0; j < 3; ++j) {
+      v[j] = j < components ? values[base + j] : 0;
+    }
+
+    if (attrib.attribName == 'position') {
+      vec3.transformMat4(v, v, matrices.matrix);
+    } else if (attrib.attribName == 'normal') {
+      vec3.transformMat3(v, v, matrices.normalMatrix);
+      vec3.normalize(v, v);
+    } else {
+      vec3.transformMat3(v, v, matrices.linearMatrix);
+      vec3.normalize(v, v);
+      // Mirroring reverses the handedness of the tangent frame.
+      if (components == 4 && matrices.mirrored) {
+        values[base + 3] = -values[base + 3];
+      }
+    }
+
+    for (let j = 0; j < Math.min(components, 3); ++j) {
+      values[base + j] = v[j];
+    }
+  }
+
+  return { values, components, count };
+}
+
+// Returns indices which draw the same primitives as the descriptor with the opposite winding. Triangle lists swap the
+// last two vertices of every triangle, while strips repeat their first index, which adds a degenerate triangle and
+// flips the winding of every triangle after it.
+function flipWinding(desc, topology, vertexCount) {
+  let indices = desc.indices;
+  let drawCount = desc.drawCount;
+  if (!indices) {
+    let count = drawCount ?? vertexCount;
+    if (count == Number.MAX_SAFE_INTEGER) {
+      throw new Error('Can\'t flip the winding of a non-indexed descriptor without a vertex count');
+    }
+    if (topology == 'triangle-list') {
+      count -= count % 3;
+    }
+    indices = Array.from({ length: count }, (_, i) => i);
+    indices = count < 0xFFFF ? new Uint16Array(indices) : new Uint32Array(indices);
+    drawCount = undefined;
+  }
+
+  if (topology == 'triangle-list') {
+    const flipped = indices.slice();
+    for (let i = 0; i + 2 < flipped.length; i += 3) {
+      flipped[i + 1] = indices[i + 2];
+      flipped[i + 2] = indices[i + 1];
+    }
+    return { indices: flipped, drawCount };
+  }
+
+  const restartIndex = Array.isArray(indices) ?
+    PRIMITIVE_RESTART_INDEX[desc.indexFormat == 'uint32' ? 'Uint32Array' : 'Uint16Array'] :
+    PRIMITIVE_RESTART_INDEX[indices.constructor.name];
+  const flipped = [];
+  let newDrawCount;
+  let stripStart = true;
+  for (let i = 0; i < indices.length; ++i) {
+    if (i == drawCount) {
+      newDrawCount = flipped.length;
+    }
+    const index = indices[i];
+    if (index == restartIndex) {
+      stripStart = true;
+    } else if (stripStart) {
+      flipped.push(index);
+      stripStart = false;
+    }
+    flipped.push(index);
+  }
+  if (drawCount !== undefined && newDrawCount === undefined) {
+    newDrawCount = flipped.length;
+  }
+
+  return {
+    indices: Array.isArray(indices) ? flipped : new indices.constructor(flipped),
+    drawCount: newDrawCount,
+  };
+}
+
+/**
+ * Returns a copy of a descriptor with a 4x4 matrix applied to its position, normal, and tangent attributes, along with
+ * every level of its LOD chain. Positions are transformed by the full matrix, normals by the inverse-transpose of its
+ * upper 3x3, and tangents by the upper 3x3. If the matrix mirrors the geometry the winding of triangles is reversed,
+ * so front faces stay front facing, and the handedness in tangent.w is flipped.
+ *
+ * Arrays that hold a transformed attribute are copied, and any other attribute interleaved with them is pointed at
+ * the copy so the layout is unchanged. Attributes in formats other than float32 are replaced with float32 ones, which
+ * keep a stride of 0 if the original had one.
+ * Other attributes keep referencing the original values, and the given descriptor is never modified.
+ * @param {GeometryDescriptor} desc
+ * @param {mat4} matrix - Column-major 4x4 matrix, as used by gl-matrix.
+ * @returns {GeometryDescriptor}
+ */
+export function transformGeometryDesc(desc, matrix) {
+  const linearMatrix = mat3.fromMat4(mat3.create(), matrix);
+  const normalMatrix = mat3.normalFromMat4(mat3.create(), matrix);
+  if (!normalMatrix) {
+    throw new Error('Can\'t transform geometry by a matrix which isn\'t invertible');
+  }
+  const matrices = { matrix, linearMatrix, normalMatrix, mirrored: mat3.determinant(linearMatrix) < 0 };
+
+  const { attribs, vertexCount } = resolveVertexAttributes(desc);
+  const result = { ...desc };
+  if (desc.attributes) {
+    result.attributes = { ...desc.attributes };
+  }
+
+  // Copies of the byte arrays that transformed attributes are written back into.
+  const copies = new Map();
+  // Attributes whose entries were replaced with float32 values.
+  const replaced = new Set();
+  for (const attrib of attribs) {
+    if (attrib.attribName != 'position' && attrib.attribName != 'normal' && attrib.attribName != 'tangent') {
+      continue;
+    }
+
+    const { values, components, count } = transformAttributeValues(attrib, matrices);
+    if (isFloat32Format(attrib.format)) {
+      let copy = copies.get(attrib.byteArray);
+      if (!copy) {
+        copy = attrib.byteArray.slice();
+        copies.set(attrib.byteArray, copy);
+      }
+      const dataView = new DataView(copy.buffer);
+      for (let i = 0; i < count; ++i) {
+        for (let j = 0; j < components; ++j) {
+          dataView.setFloat32(attrib.offset + i * attrib.arrayStride + j * 4, values[i * components + j], true);
+        }
+      }
+    } else {
+      const format = components == 1 ? 'float32' : `float32x${components}`;
+      // A stride of 0 stays 0 so that a single shared value doesn't become a one vertex array.
+      const stride = attrib.arrayStride == 0 ? 0 : components * 4;
+      setAttributeEntry(result, attrib, createAttributeEntry(desc, attrib, values, 0, stride, format));
+      replaced.add(attrib);
+    }
+  }
+
+  // Point everything else that was read from a copied array, transformed or not, at the copy.
+  for (const attrib of attribs) {
+    const copy = copies.get(attrib.byteArray);
+    if (copy && !replaced.has(attrib)) {
+      setAttributeEntry(result, attrib,
+        createAttributeEntry(desc, attrib, copy, attrib.offset, attrib.arrayStride, attrib.format));
+    }
+  }
+
+  const topology = desc.topology ?? 'triangle-list';
+  if (matrices.mirrored && (topology == 'triangle-list' || topology == 'triangle-strip')) {
+    const { indices, drawCount } = flipWinding(desc, topology, vertexCount);
+    result.indices = indices;
+    result.drawCount = drawCount;
+  }
+
+  if (desc.lods) {
+    result.lods = desc.lods.map((lod) => ({ ...lod, desc: transformGeometryDesc(lod.desc, matrix) }));
+  }
+
+  return result;
+}
+
+// Describes a descriptor's attributes in a form that can be compared to check that two descriptors are compatible.
+function getAttributeSignature(attribs) {
+  return attribs.map((attrib) =>
+    `${attrib.inAttributes ? 'attributes.' : ''}${attrib.attribName}:${attrib.format}@${attrib.shaderLocation}`
+  ).sort().join(', ');
+}
+
+/**
+ * Options for mergeGeometryDescs
+ * @typedef {Object} MergeGeometryOptions
+ * @prop {string} [label] - Defaults to the label of the first descriptor.
+ */
+
+/**
+ * Merges several descriptors into a single indexed descriptor, so that geometry built from many pieces can be drawn
+ * with one draw call. Every descriptor must have the same attributes in the same formats and shader locations, and
+ * use the same point, line, or triangle list topology. The attributes are interleaved into one array and the indices
+ * of each descriptor are rebased onto its vertices in the merged one. Non-indexed descriptors are given sequential
+ * indices.
+ *
+ * Only the base level of descriptors with a LOD chain is merged, and descriptors with instanceAttributes can't be
+ * merged. Other options, such as optimize, aren't carried over.
+ * @param {GeometryDescriptor[]} descArray
+ * @param {MergeGeometryOptions} [options]
+ * @returns {GeometryDescriptor}
+ */
+export function mergeGeometryDescs(descArray, options = {}) {
+  if (!descArray.length) {
+    throw new Error('At least one descriptor is needed to merge');
+  }
+
+  const descName = (desc, i) => desc.label ? `Geometry "${desc.label}"` : `Geometry at index ${i}`;
+
+  const topology = descArray[0].topology ?? 'triangle-list';
+  if (!MERGEABLE_TOPOLOGIES.includes(topology)) {
+    throw new Error(`Can't merge ${topology} geometry, only ${MERGEABLE_TOPOLOGIES.join(', ')} are supported`);
+  }
+
+  const resolved = descArray.map((desc, i) => {
+    const { attribs, vertexCount } = resolveVertexAttributes(desc);
+    if ((desc.topology ?? 'triangle-list') != topology) {
+      throw new Error(`${descName(desc, i)} uses ${desc.topology} topology, but the first descriptor uses ${topology}`);
+    }
+    if (desc.instanceAttributes?.length) {
+      throw new Error(`${descName(desc, i)} has instanceAttributes, which can't be merged`);
+    }
+    if (vertexCount == Number.MAX_SAFE_INTEGER) {
+      throw new Error(`${descName(desc, i)} has no vertex attribute with a stride, so its vertex count is unknown`);
+    }
+    const usedVertexCount = desc.indices ? vertexCount : Math.min(desc.drawCount ?? vertexCount, vertexCount);
+    return { desc, attribs, vertexCount: usedVertexCount, signature: getAttributeSignature(attribs) };
+  });
+
+  const firstAttribs = resolved[0].attribs;
+  for (let i = 1; i < resolved.length; ++i) {
+    if (resolved[i].signature != resolved[0].signature) {
+      throw new Error(`${descName(resolved[i].desc, i)} has attributes (${resolved[i].signature}) which don't match the first descriptor's (${resolved[0].signature})`);
+    }
+  }
+
+  // Interleave the attributes in the order of the first descriptor, keeping each one 4 byte aligned.
+  let arrayStride = 0;
+  const layout = firstAttribs.map((attrib) => {
+    const entry = { attribName: attrib.attribName, offset: arrayStride, size: getVertexFormatInfo(attrib.format).byteSize };
+    arrayStride += Math.ceil(entry.size / 4) * 4;
+    return entry;
+  });
+
+  let totalVertices = 0;
+  let totalIndices = 0;
+  for (const entry of resolved) {
+    totalVertices += entry.vertexCount;
+    const indices = entry.desc.indices;
+    totalIndices += indices ? Math.min(entry.desc.drawCount ?? indices.length, indices.length) : entry.vertexCount;
+  }
+
+  const vertexArray = new Uint8Array(totalVertices * arrayStride);
+  const indexArray = totalVertices < 0xFFFF ? new Uint16Array(totalIndices) : new Uint32Array(totalIndices);
+
+  let baseVertex = 0;
+  let indexOffset = 0;
+  for (const { desc, attribs, vertexCount } of resolved) {
+    for (const entry of layout) {
+      const attrib = attribs.find((other) => other.attribName == entry.attribName);
+      for (let v = 0; v < vertexCount; ++v) {
+        const srcOffset = attrib.offset + v * attrib.arrayStride;
+        vertexArray.set(attrib.byteArray.subarray(srcOffset, srcOffset + entry.size),
+                        (baseVertex + v) * arrayStride + entry.offset);
+      }
+    }
+
+    if (desc.indices) {
+      const count = Math.min(desc.drawCount ?? desc.indices.length, desc.indices.length);
+      for (let i = 0; i < count; ++i) {
+        indexArray[indexOffset++] = desc.indices[i] + baseVertex;
+      }
+    } else {
+      for (let v = 0; v < vertexCount; ++v) {
+        indexArray[indexOffset++] = v + baseVertex;
+      }
+    }
+
+    baseVertex += vertexCount;
+  }
+
+  const merged = {
+    label: options.label ?? descArray[0].label,
+    topology,
+    indices: indexArray,
+  };
+  for (let i = 0; i < layout.length; ++i) {
+    const attrib = firstAttribs[i];
+    const entry = createAttributeEntry(descArray[0], attrib, vertexArray, layout[i].offset, arrayStride, attrib.format);
+    if (attrib.inAttributes) {
+      merged.attributes = merged.attributes ?? {};
+    }
+    setAttributeEntry(merged, attrib, entry);
+  }
+
+  return merged;
+}
+
+/**
+ * Options for extractEdges
+ * @typedef {Object} EdgeExtractionOptions
+ * @prop {number} [creaseAngle] - If given, only keep feature edges: edges on a boundary, edges shared by more than two
+ *   triangles, and edges whose two triangles meet at more than this angle in radians. Edges between nearly coplanar
+ *   triangles, like the diagonals of a quad, are dropped.
+ * @prop {number} [weldTolerance=1e-6] - Vertices whose positions are within this distance along every axis are treated
+ *   as the same vertex when matching edges.
+ */
+
+// Calls callback with the vertex indices of every triangle a triangle-list or triangle-strip descriptor draws.
+// Triangles of a strip are visited with their winding corrected, and the primitive restart value starts a new strip.
+function forEachTriangle(desc, topology, vertexCount, callback) {
+  const indices = desc.indices;
+  const count = desc.drawCount ?? (indices ? indices.length : vertexCount);
+  const indexAt = indices ? (i) => indices[i] : (i) => i;
+
+  if (topology == 'triangle-list') {
+    for (let i = 0; i + 2 < count; i += 3) {
+      callback(indexAt(i), indexAt(i + 1), indexAt(i + 2));
+    }
+    return;
+  }
+
+  const restartIndex = !indices ? -1 : Array.isArray(indices) ?
+    PRIMITIVE_RESTART_INDEX[desc.indexFormat == 'uint32' ? 'Uint32Array' : 'Uint16Array'] :
+    PRIMITIVE_RESTART_INDEX[indices.constructor.name];
+  let stripStart = 0;
+  for (let i = 0; i < count; ++i) {
+    if (indexAt(i) == restartIndex) {
+      stripStart = i + 1;
+      continue;
+    }
+    const k = i - stripStart;
+    if (k < 2) { continue; }
+    if (k % 2 == 0) {
+      callback(indexAt(i - 2), indexAt(i - 1), indexAt(i));
+    } else {
+      callback(indexAt(i - 1), indexAt(i - 2), indexAt(i));
+    }
+  }
+}
+
+/**
+ * Builds a line-list descriptor containing each unique edge of a triangle-list or triangle-strip descriptor, for
+ * drawing wireframes. Edges are matched by vertex position, so an edge which is split between faces with different
+ * normals or UVs is only drawn once. Optionally only the feature edges above a crease angle are kept.
+ *
+ * The returned descriptor references the same attributes as the source, so when both are built in the same batch the
+ * vertex data is only uploaded once. LOD levels are converted as well. Options which only apply to triangles, such as
+ * optimize and meshlets, are removed.
+ * @param {GeometryDescriptor} desc
+ * @param {EdgeExtractionOptions} [options]
+ * @returns {GeometryDescriptor}
+ */
+export function extractEdges(desc, options = {}) {
+  const topology = desc.topology ?? 'triangle-list';
+  if (topology != 'triangle-list' && topology != 'triangle-strip') {
+    throw new Error(`Edges can only be extracted from triangle-list or triangle-strip geometry, not ${topology}`);
+  }
+
+  const { attribs, vertexCount } = resolveVertexAttributes(desc);
+  const positionAttrib = attribs.find((attrib) => attrib.attribName == 'position');
+  if (!positionAttrib) {
+    throw new Error('Edges can only be extracted from geometry with a position attribute');
+  }
+  if (!desc.indices && vertexCount == Number.MAX_SAFE_INTEGER) {
+    throw new Error('Can\'t extract the edges of a non-indexed descriptor without a vertex count');
+  }
+
+  // Weld vertices by position, so that edges are shared between faces even where their other attributes differ.
+  // Positions are quantized first so that values that differ only by rounding error, like those on either side of a
+  // UV seam, still match.
+  const weldScale = 1 / (options.weldTolerance ?? 1e-6);
+  const positionCount = positionAttrib.arrayStride == 0 ? 1 : positionAttrib.vertexCount;
+  const positions = readVertexAttribute(positionAttrib.byteArray, positionAttrib.offset, positionAttrib.arrayStride,
+                                        positionAttrib.format, positionCount);
+  const components = positions.length / positionCount;
+  const weldIds = new Map();
+  const getWeldId = (index) => {
+    const v = Math.min(index, positionCount - 1) * components;
+    const key = Array.from(positions.subarray(v, v + components), (value) => Math.round(value * weldScale)).join(',');
+    let id = weldIds.get(key);
+    if (id === undefined) {
+      id = weldIds.size;
+      weldIds.set(key, id);
+    }
+    return id;
+  };
+  const getPosition = (index) => {
+    const v = Math.min(index, positionCount - 1) * components;
+    return vec3.fromValues(positions[v], components > 1 ? positions[v + 1] : 0, components > 2 ? positions[v + 2] : 0);
+  };
+
+  const edges = new Map(); // Map of welded edge key to the first vertex indices seen for it and its face normals
+  let maxIndex = 0;
+  const edge0 = vec3.create();
+  const edge1 = vec3.create();
+  forEachTriangle(desc, topology, vertexCount, (a, b, c) => {
+    const ids = [getWeldId(a), getWeldId(b), getWeldId(c)];
+    if (ids[0] == ids[1] || ids[1] == ids[2] || ids[2] == ids[0]) { return; }
+
+    const pa = getPosition(a);
+    vec3.sub(edge0, getPosition(b), pa);
+    vec3.sub(edge1, getPosition(c), pa);
+    const normal = vec3.cross(vec3.create(), edge0, edge1);
+    vec3.normalize(normal, normal);
+
+    const corners = [a, b, c];
+    for (let i = 0; i < 3; ++i) {
+      const j = (i + 1) % 3;
+      const key = ids[i] < ids[j] ? `${ids[i]},${ids[j]}` : `${ids[j]},${ids[i]}`;
+      let edge = edges.get(key);
+      if (!edge) {
+        edge = { a: corners[i], b: corners[j], normals: [] };
+        edges.set(key, edge);
+        maxIndex = Math.max(maxIndex, corners[i], corners[j]);
+      }
+      edge.normals.push(normal);
+    }
+  });
+
+  const creaseCos = options.creaseAngle !== undefined ? Math.cos(options.creaseAngle) : undefined;
+  const lineIndices = [];
+  for (const edge of edges.values()) {
+    if (creaseCos !== undefined && edge.normals.length == 2 &&
+        vec3.dot(edge.normals[0], edge.normals[1]) >= creaseCos) {
+      continue;
+    }
+    lineIndices.push(edge.a, edge.b);
+  }
+
+  const result = {
+    ...desc,
+    topology: 'line-list',
+    indices: maxIndex < 0xFFFF ? new Uint16Array(lineIndices) : new Uint32Array(lineIndices),
+  };
+  for (const key of ['drawCount', 'indexFormat', 'optimize', 'generateNormals', 'generateTangents', 'meshlets']) {
+    delete result[key];
+  }
+  if (desc.lods) {
+    result.lods = desc.lods.map((lod) => ({ ...lod, desc: extractEdges(lod.desc, options) }));
+  }
+
+  return result;
+}
@@ -1,4 +1,11 @@
 import { GeometryLayoutCache, NormalizeBufferLayout } from './geometry-layout.js';
+import { DefaultStride, encodeVertexValues, readVertexAttribute } from './vertex-format.js';
+import { optimizeTriangleList, gatherVertexStreams, computeACMR } from './geometry-optimizer.js';
+import { generateNormals, generateTangents } from './tangent-space.js';
+import { buildMeshlets } from './meshlets.js';
+import { MemoryCategory, MemoryTracker } from './memory-tracker.js';
+import { DRAW_INDEXED_INDIRECT_SIZE, DRAW_INDIRECT_SIZE, DRAW_INDEXED_INDIRECT_STRUCT,
+         DRAW_INDIRECT_STRUCT } from './indirect-args.js';
 
 const layoutCache = new GeometryLayoutCache();
 
@@ -24,41 +31,100 @@ const DefaultAttribFormat = {
   weights: 'float32x4',
 };
 
-const DefaultStride = {
-  uint8x2: 2,
-  uint8x4: 4,
-  sint8x2: 2,
-  sint8x4: 4,
-  unorm8x2: 2,
-  unorm8x4: 4,
-  snorm8x2: 2,
-  snorm8x4: 4,
-  uint16x2: 4,
-  uint16x4: 8,
-  sint16x2: 4,
-  sint16x4: 8,
-  unorm16x2: 4,
-  unorm16x4: 8,
-  snorm16x2: 4,
-  snorm16x4: 8,
-  float16x2: 4,
-  float16x4: 8,
-  float32: 4,
-  float32x2: 8,
-  float32x3: 12,
-  float32x4: 16,
-  uint32: 4,
-  uint32x2: 8,
-  uint32x3: 12,
-  uint32x4: 16,
-  sint32: 4,
-  sint32x2: 8,
-  sint32x3: 12,
-  sint32x4: 16,
-};
+/**
+ * Shader location and default format associated with an attribute name
+ * @typedef {Object} AttributeSemantic
+ * @prop {number} shaderLocation
+ * @prop {GPUVertexFormat} format
+ */
 
 /**
- * Definition of an attribute for a Geometry
+ * Global table of attribute names and the shader locations and formats they map to. It begins with the names in
+ * AttribLocation, and applications can register additional names (such as texcoord2 or color1) so that the attributes
+ * of GeometryDescriptors and the shaders that consume them agree on the same locations.
+ */
+export class AttributeRegistry {
+  static #semantics = new Map();
+
+  /**
+   * Registers a new attribute name. Throws if the name or shader location is already used by another attribute,
+   * unless the name is being registered again with the same location and format.
+   * @param {string} name
+   * @param {AttributeSemantic} semantic
+   * @returns {AttributeSemantic}
+   */
+  static register(name, semantic) {
+    const { shaderLocation, format } = semantic;
+    if (!Number.isInteger(shaderLocation) || shaderLocation < 0) {
+      throw new Error(`Invalid shader location ${shaderLocation} for attribute ${name}.`);
+    }
+    if (DefaultStride[format] === undefined) {
+      throw new Error(`Unknown vertex format "${format}" for attribute ${name}.`);
+    }
+
+    const existing = AttributeRegistry.#semantics.get(name);
+    if (existing) {
+      if (existing.shaderLocation == shaderLocation && existing.format == format) {
+        return existing;
+      }
+      throw new Error(`Attribute ${name} is already registered with shader location ${existing.shaderLocation} and format ${existing.format}.`);
+    }
+    for (const [otherName, other] of AttributeRegistry.#semantics) {
+      if (other.shaderLocation == shaderLocation) {
+        throw new Error(`Can't register attribute ${name} at shader location ${shaderLocation}, which is already used by ${otherName}.`);
+      }
+    }
+
+    const entry = Object.freeze({ shaderLocation, format });
+    AttributeRegistry.#semantics.set(name, entry);
+    return entry;
+  }
+
+  /**
+   * @param {string} name
+   * @returns {AttributeSemantic | undefined}
+   */
+  static get(name) {
+    return AttributeRegistry.#semantics.get(name);
+  }
+
+  /**
+   * Returns a map of every registered name to its shader location, in the same form as AttribLocation. This can be
+   * given as the memberNames of GeometryLayout.getVertexStructWgsl().
+   * @returns {Object<string, number>}
+   */
+  static getLocations() {
+    const locations = {};
+    for (const [name, semantic] of AttributeRegistry.#semantics) {
+      locations[name] = semantic.shaderLocation;
+    }
+    return locations;
+  }
+}
+
+// Returns the location and format to use for an entry of desc.attributes. Values given on the attribute take priority
+// over the registry.
+function getAttributeSemantic(attribName, attrib) {
+  const registered = AttributeRegistry.get(attribName);
+  const shaderLocation = attrib.shaderLocation ?? registered?.shaderLocation;
+  const format = attrib.format ?? registered?.format;
+  if (shaderLocation === undefined) {
+    throw new Error(`Attribute ${attribName} is not registered, so it must be given a shaderLocation.`);
+  }
+  if (format === undefined) {
+    throw new Error(`Attribute ${attribName} is not registered, so it must be given a format.`);
+  }
+  return { shaderLocation, format };
+}
+
+for (const [name, shaderLocation] of Object.entries(AttribLocation)) {
+  AttributeRegistry.register(name, { shaderLocation, format: DefaultAttribFormat[name] });
+}
+
+/**
+ * Definition of an attribute for a Geometry. Plain number[] values are encoded according to the attribute's format
+ * and are tightly packed, unless they are used with a float32 format and an explicit stride, in which case they're
+ * treated as an interleaved array of 32 bit floats.
  * @typedef {ArrayBuffer | TypedArray | number[]} GeometryAttributeValues
  */
 
@@ -69,6 +135,7 @@ const DefaultStride = {
  * @prop {number} [offset=0]
  * @prop {number} [stride]
  * @prop {GPUVertexFormat} [format]
+ * @prop {number} [shaderLocation] - Only used for entries of GeometryDescriptor.attributes.
  */
 
 /**
@@ -90,124 +157,850 @@ const DefaultStride = {
  * @prop {GeometryAttribute} [weights]
  * @prop {number} [drawCount]
  * @prop {Uint16Array | Uint32Array | number[]} [indices]
+ * @prop {GPUIndexFormat} [indexFormat] - Index format to use for number[] indices. If not given uint16 is used when
+ *   every index fits in it, and uint32 otherwise.
  * @prop {GPUPrimitiveTopology} [topology]
+ * @prop {Object<string, GeometryAttribute>} [attributes] - Additional attributes by name. Names registered with
+ *   AttributeRegistry use its shader location and format by default, and any other name must give a shaderLocation
+ *   and format. Each attribute may also give a shaderLocation to override the registered one.
+ * @prop {InstanceAttributeDescriptor[]} [instanceAttributes] - Attributes that step once per instance.
+ * @prop {GeometryOptimizeOptions | boolean} [optimize] - Optimize a triangle-list for the vertex cache before upload.
+ *   Overrides GeometryBatchOptions.optimize.
+ * @prop {NormalGenerationOptions | boolean} [generateNormals] - Generate normals for a triangle-list that doesn't have
+ *   them. Vertices are split where faces meet at more than the angle threshold.
+ * @prop {boolean} [generateTangents] - Generate MikkTSpace float32x4 tangents, with the handedness in w, for a
+ *   triangle-list that doesn't have them. Requires texcoord0 and either normals or generateNormals.
+ * @prop {GeometryLodDescriptor[]} [lods] - Progressively less detailed versions of this Geometry, which are built into
+ *   the same buffers. Every level must switch on the same metric, either distance or screenSize.
+ * @prop {number} [lodHysteresis=0.1] - Fraction that LOD switch points are moved by to keep instances near them from
+ *   switching back and forth.
+ * @prop {MeshletOptions | boolean} [meshlets] - Split an indexed triangle-list into meshlets which can be culled
+ *   individually. The indices are reordered so that each meshlet's triangles are contiguous.
  */
 
-function buildGeometryBatch(device, descArray) {
-  let arraySource = new Map();
-  let requiredVertexBufferSize = 0;
-  let requiredIndexBufferSize = 0;
+/**
+ * Definition of an instance rate attribute for a Geometry. Either values or stream must be given. Values are uploaded
+ * along with the rest of the Geometry, while a stream names a buffer that's supplied to Geometry.setBuffers() when
+ * drawing. Attributes which name the same stream are read from the same buffer, so they can be interleaved.
+ * @typedef {Object} InstanceAttributeDescriptor
+ * @prop {number} shaderLocation
+ * @prop {GPUVertexFormat} format
+ * @prop {GeometryAttributeValues} [values]
+ * @prop {string} [stream]
+ * @prop {number} [offset=0]
+ * @prop {number} [stride]
+ */
 
-  const geometries = [];
+/**
+ * Buffer to bind for an instance stream. A bare GPUBuffer binds the whole buffer.
+ * @typedef {GPUBuffer | { buffer: GPUBuffer, offset?: number, size?: number }} InstanceStreamBuffer
+ */
 
-  for (const desc of descArray) {
-    let vertexBufferLayouts = [];
-    let maxVertices = Number.MAX_SAFE_INTEGER;
+/**
+ * A level of a Geometry's LOD chain
+ * @typedef {Object} GeometryLodDescriptor
+ * @prop {GeometryDescriptor} desc
+ * @prop {number} [distance] - Distance from the camera at which this level begins to be used.
+ * @prop {number} [screenSize] - Fraction of the viewport height covered by the bounds of the Geometry below which this
+ *   level begins to be used.
+ */
 
-    for (const attribName of Object.keys(AttribLocation)) {
-      const attrib = desc[attribName];
-      if (attrib === undefined) { continue; }
+/**
+ * A level of a Geometry's LOD chain, once built
+ * @typedef {Object} GeometryLodLevel
+ * @prop {Geometry} geometry
+ * @prop {number} [distance]
+ * @prop {number} [screenSize]
+ */
 
-      const values = attrib.values ?? attrib;
+/**
+ * Indirect draw arguments to write for a Geometry
+ * @typedef {Object} IndirectArgsEntry
+ * @prop {Geometry} geometry
+ * @prop {number} [instanceCount=1]
+ * @prop {number} [firstInstance=0]
+ */
 
-      const format = attrib?.format ?? DefaultAttribFormat[attribName];
-      const arrayStride = attrib?.stride ?? DefaultStride[format];
-      const offset = attrib.offset ?? 0;
-      const shaderLocation = AttribLocation[attribName];
+/**
+ * Options that control how a batch of Geometry is built
+ * @typedef {Object} GeometryBatchOptions
+ * @prop {number} [maxVertexBuffers] - Maximum number of vertex buffers a single Geometry may use. Defaults to the
+ *   device's maxVertexBuffers limit.
+ * @prop {boolean} [repackVertexBuffers=true] - If a descriptor's attributes would need more than maxVertexBuffers
+ *   vertex buffers they are copied into a single interleaved buffer instead. If false an error is thrown.
+ * @prop {GeometryOptimizeOptions | boolean} [optimize=false] - Optimize every triangle-list descriptor which doesn't
+ *   specify its own optimize option. Optimized vertex data is no longer shared with other descriptors.
+ * @prop {MemoryTracker} [memoryTracker] - Tracker the batch's buffers are reported to. Defaults to
+ *   MemoryTracker.default.
+ * @prop {string[]} [diagnostics] - Array that warnings about descriptors' vertex layouts, such as overlapping
+ *   attributes, are appended to. If not given they're logged with console.warn.
+ */
 
-      // Figure out how much space each attribute will require. Does
-      // some basic de-duping of attrib values to prevent the same array from
-      // being uploaded twice.
-      let source = arraySource.get(values);
-      if (!source) {
-        let byteArray;
-        if (ArrayBuffer.isView(values)) {
-          byteArray = new Uint8Array(values.buffer, values.byteOffset, values.byteLength);
-        } else if (values instanceof ArrayBuffer) {
-          byteArray = new Uint8Array(values);
-        } else if (Array.isArray(values)) {
-          // TODO: Should this be based on the attrib type?
-          byteArray = new Uint8Array(new Float32Array(values).buffer);
-        } else {
-          throw new Error(`Unknown values type in attribute ${attribName}`);
-        }
+function getAttributeByteArray(values, attribName, encoding) {
+  if (ArrayBuffer.isView(values)) {
+    return new Uint8Array(values.buffer, values.byteOffset, values.byteLength);
+  } else if (values instanceof ArrayBuffer) {
+    return new Uint8Array(values);
+  } else if (Array.isArray(values)) {
+    try {
+      return encodeVertexValues(values, encoding);
+    } catch (error) {
+      throw new Error(`Invalid values in attribute ${attribName}: ${error.message}`);
+    }
+  }
+  throw new Error(`Unknown values type in attribute ${attribName}`);
+}
 
-        source = {
-          byteArray,
-          bufferOffset: requiredVertexBufferSize,
-          size: byteArray.byteLength,
-        };
-        arraySource.set(values, source);
+// Returns the number of complete vertices that an attribute can supply.
+function getVertexCount(byteArray, offset, arrayStride, format) {
+  if (arrayStride == 0) {
+    return Number.MAX_SAFE_INTEGER;
+  }
+  return Math.max(0, Math.floor((byteArray.byteLength - offset - DefaultStride[format]) / arrayStride) + 1);
+}
+
+// Copies the attributes into a single interleaved array. Used when the attributes as given would require more
+// vertex buffers than the device allows.
+function interleaveAttributes(attribs, vertexCount) {
+  let arrayStride = 0;
+  const offsets = [];
+  for (const attrib of attribs) {
+    offsets.push(arrayStride);
+    // Keep every attribute 4 byte aligned.
+    arrayStride += Math.ceil(DefaultStride[attrib.format] / 4) * 4;
+  }
 
-        requiredVertexBufferSize += Math.ceil(byteArray.byteLength / 4) * 4;
-        maxVertices = Math.min(maxVertices, byteArray.byteLength / arrayStride);
+  const byteArray = new Uint8Array(arrayStride * vertexCount);
+  for (let i = 0; i < attribs.length; ++i) {
+    const attrib = attribs[i];
+    const size = DefaultStride[attrib.format];
+    for (let v = 0; v < vertexCount; ++v) {
+      const srcOffset = attrib.offset + v * attrib.arrayStride;
+      byteArray.set(attrib.byteArray.subarray(srcOffset, srcOffset + size), v * arrayStride + offsets[i]);
+    }
+  }
+
+  return attribs.map((attrib, i) => ({
+    ...attrib,
+    byteArray,
+    arrayStride,
+    offset: offsets[i],
+  }));
+}
+
+// Reads an attribute into a tightly packed Float32Array with the given number of components per vertex.
+function readComponents(attrib, vertexCount, components) {
+  const { byteArray, offset, arrayStride, format } = attrib;
+  const values = readVertexAttribute(byteArray, offset, arrayStride, format, vertexCount);
+  const attribComponents = values.length / vertexCount;
+  if (attribComponents == components) {
+    return values;
+  }
+
+  const out = new Float32Array(vertexCount * components);
+  for (let v = 0; v < vertexCount; ++v) {
+    for (let j = 0; j < Math.min(components, attribComponents); ++j) {
+      out[v * components + j] = values[v * attribComponents + j];
+    }
+  }
+  return out;
+}
+
+// Generates the normals and tangents requested by a triangle-list descriptor and adds them to its attributes. Vertices
+// are split where needed, which copies every other attribute and rewrites the indices.
+function generateTangentSpace(desc, attribs, typedIndices, vertexCount) {
+  const findAttrib = (location) => attribs.find((attrib) => attrib.shaderLocation == location);
+  const triangleIndices = typedIndices ?? Uint32Array.from({ length: vertexCount - vertexCount % 3 }, (_, i) => i);
+
+  const applySplit = (generated, attribName, format) => {
+    if (generated.vertexCount != vertexCount) {
+      attribs = gatherVertexStreams(attribs, generated.sources);
+      vertexCount = generated.vertexCount;
+    }
+    typedIndices = typedIndices ? generated.indices : null;
+    attribs.push({
+      attribName,
+      byteArray: new Uint8Array(generated.values.buffer),
+      format,
+      arrayStride: DefaultStride[format],
+      offset: 0,
+      shaderLocation: AttribLocation[attribName],
+    });
+    return generated;
+  };
+
+  let indices = triangleIndices;
+  let normals;
+  if (desc.generateNormals) {
+    const existing = findAttrib(AttribLocation.normal);
+    if (existing) {
+      throw new Error(`generateNormals can't be used when attribute ${existing.attribName} is at the normal location`);
+    }
+    const positions = readComponents(findAttrib(AttribLocation.position), vertexCount, 3);
+    const options = desc.generateNormals === true ? {} : desc.generateNormals;
+    const generated = applySplit(generateNormals(positions, indices, vertexCount, options), 'normal', 'float32x3');
+    indices = generated.indices;
+    normals = generated.values;
+  }
+
+  if (desc.generateTangents) {
+    const existing = findAttrib(AttribLocation.tangent);
+    if (existing) {
+      throw new Error(`generateTangents can't be used when attribute ${existing.attribName} is at the tangent location`);
+    }
+    const texcoordAttrib = findAttrib(AttribLocation.texcoord0);
+    if (!texcoordAttrib) {
+      throw new Error('generateTangents requires a texcoord0 attribute');
+    }
+    if (!normals) {
+      const normalAttrib = findAttrib(AttribLocation.normal);
+      if (!normalAttrib) {
+        throw new Error('generateTangents requires a normal attribute or generateNormals');
       }
+      normals = readComponents(normalAttrib, vertexCount, 3);
+    }
+    const positions = readComponents(findAttrib(AttribLocation.position), vertexCount, 3);
+    const texcoords = readComponents(texcoordAttrib, vertexCount, 2);
+    applySplit(generateTangents(positions, normals, texcoords, indices, vertexCount), 'tangent', 'float32x4');
+  }
 
-      vertexBufferLayouts.push({
-        buffer: values,
-        arrayStride,
-        attributes: [{
-          shaderLocation,
-          format,
-          offset: offset + source.bufferOffset,
-        }]
-      });
+  return { attribs, typedIndices, vertexCount };
+}
+
+/**
+ * Axis-aligned bounding box and bounding sphere of a Geometry's positions, in model space
+ * @typedef {Object} GeometryBounds
+ * @prop {number[]} min
+ * @prop {number[]} max
+ * @prop {number[]} center
+ * @prop {number} radius
+ */
+
+/**
+ * @returns {GeometryBounds}
+ */
+function computeBounds(positionAttrib, vertexCount) {
+  if (!positionAttrib || vertexCount == 0 || vertexCount == Number.MAX_SAFE_INTEGER) {
+    return null;
+  }
+
+  // Positions with fewer than 3 components are treated as having 0 for the remaining ones.
+  const positions = readComponents(positionAttrib, vertexCount, 3);
+
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (let i = 0; i < positions.length; i += 3) {
+    for (let j = 0; j < 3; ++j) {
+      min[j] = Math.min(min[j], positions[i + j]);
+      max[j] = Math.max(max[j], positions[i + j]);
     }
+  }
 
-    // Create and fill the index buffer
-    let indexBinding;
-    let indexArray = null;
-    let indexFormat;
+  const center = [(min[0] + max[0]) * 0.5, (min[1] + max[1]) * 0.5, (min[2] + max[2]) * 0.5];
+  let radiusSq = 0;
+  for (let i = 0; i < positions.length; i += 3) {
+    let distSq = 0;
+    for (let j = 0; j < 3; ++j) {
+      const d = positions[i + j] - center[j];
+      distSq += d * d;
+    }
+    radiusSq = Math.max(radiusSq, distSq);
+  }
+
+  return { min, max, center, radius: Math.sqrt(radiusSq) };
+}
+
+// Converts a single attribute's values into the byte array that will be uploaded, along with the format, stride and
+// offset to read it with.
+function prepareAttribute(attribName, attrib, defaultFormat, byteArrays) {
+  // Arrays and TypedArrays have a values() method, so check for them explicitly before looking at attrib.values.
+  const isBareValues = Array.isArray(attrib) || ArrayBuffer.isView(attrib) || attrib instanceof ArrayBuffer;
+  const values = isBareValues ? attrib : attrib.values;
+
+  const format = attrib?.format ?? defaultFormat;
+  if (DefaultStride[format] === undefined) {
+    throw new Error(`Unknown vertex format "${format}" in attribute ${attribName}`);
+  }
+  let arrayStride = attrib?.stride ?? DefaultStride[format];
+  const offset = attrib.offset ?? 0;
+
+  // Plain arrays are encoded in the attribute's format, and so the format determines the stride. The exception is
+  // float32 formats with an explicit stride, which are treated as an interleaved array of floats.
+  let encoding = 'float32';
+  if (Array.isArray(values) && !(attrib.stride !== undefined && format.startsWith('float32'))) {
+    if ((attrib.stride !== undefined && attrib.stride != DefaultStride[format]) || offset != 0) {
+      throw new Error(`Invalid attribute ${attribName}: number[] values are tightly packed in format ${format}, so they can't be given a stride or offset.`);
+    }
+    encoding = format;
+    arrayStride = DefaultStride[format];
+  }
+
+  // Does some basic de-duping of attrib values to prevent the same array from being uploaded twice. Plain arrays
+  // may need to be encoded differently for each format they're used with.
+  let encodings = byteArrays.get(values);
+  if (!encodings) {
+    encodings = new Map();
+    byteArrays.set(values, encodings);
+  }
+  let byteArray = encodings.get(encoding);
+  if (!byteArray) {
+    byteArray = getAttributeByteArray(values, attribName, encoding);
+    encodings.set(encoding, byteArray);
+  }
+
+  return { attribName, byteArray, format, arrayStride, offset };
+}
+
+// Instance attributes either have values, which are uploaded along with the rest of the geometry, or name an external
+// stream. Attributes that name the same stream are read from the same buffer, which is supplied to setBuffers().
+function prepareInstanceAttributes(instanceAttributes, byteArrays) {
+  const streams = new Map(); // Map of stream name to the value used as its buffer while normalizing.
+  return instanceAttributes.map((attrib, i) => {
+    const attribName = `instanceAttributes[${i}]`;
+    if (attrib.shaderLocation === undefined) {
+      throw new Error(`Invalid attribute ${attribName}: shaderLocation is required.`);
+    }
+    if (!attrib.format) {
+      throw new Error(`Invalid attribute ${attribName}: format is required.`);
+    }
+
+    let prepared;
+    if (attrib.values !== undefined) {
+      if (attrib.stream !== undefined) {
+        throw new Error(`Invalid attribute ${attribName}: only one of values or stream may be given.`);
+      }
+      prepared = prepareAttribute(attribName, attrib, attrib.format, byteArrays);
+    } else if (attrib.stream !== undefined) {
+      if (DefaultStride[attrib.format] === undefined) {
+        throw new Error(`Unknown vertex format "${attrib.format}" in attribute ${attribName}`);
+      }
+      let stream = streams.get(attrib.stream);
+      if (!stream) {
+        stream = { instanceStream: attrib.stream };
+        streams.set(attrib.stream, stream);
+      }
+      prepared = {
+        attribName,
+        byteArray: stream,
+        format: attrib.format,
+        arrayStride: attrib.stride ?? DefaultStride[attrib.format],
+        offset: attrib.offset ?? 0,
+      };
+    } else {
+      throw new Error(`Invalid attribute ${attribName}: either values or stream must be given.`);
+    }
+
+    prepared.shaderLocation = attrib.shaderLocation;
+    prepared.stepMode = 'instance';
+    return prepared;
+  });
+}
+
+// Returns the normalized buffer layouts of the attributes, appending any diagnostics to the given array.
+function normalizeAttributes(attribs, maxVertexBuffers, diagnostics) {
+  return NormalizeBufferLayout(attribs.map((attrib) => ({
+    buffer: attrib.byteArray,
+    arrayStride: attrib.arrayStride,
+    stepMode: attrib.stepMode ?? 'vertex',
+    attributes: [{
+      shaderLocation: attrib.shaderLocation,
+      format: attrib.format,
+      offset: attrib.offset,
+    }]
+  })), { maxVertexBuffers, diagnostics });
+}
+
+/**
+ * A vertex attribute of a GeometryDescriptor, resolved to the bytes it's read from
+ * @typedef {Object} ResolvedVertexAttribute
+ * @prop {string} attribName
+ * @prop {boolean} inAttributes - True if the attribute was given in desc.attributes rather than directly.
+ * @prop {Uint8Array} byteArray
+ * @prop {GPUVertexFormat} format
+ * @prop {number} arrayStride
+ * @prop {number} offset
+ * @prop {number} shaderLocation
+ * @prop {number} vertexCount - Number of complete values the byte array holds for this attribute.
+ */
+
+/**
+ * Resolves every vertex attribute of a descriptor, both the named ones and those in desc.attributes, to the bytes
+ * they're read from along with the format, stride, offset and shader location to read them with. Plain number[]
+ * values are encoded the same way they are when the Geometry is built.
+ * @param {GeometryDescriptor} desc
+ * @param {Map} [byteArrays] - Cache of the byte arrays already created for each values array.
+ * @returns {{ attribs: ResolvedVertexAttribute[], vertexCount: number }} vertexCount is the number of vertices every
+ *   attribute can supply, or Number.MAX_SAFE_INTEGER if every attribute has a stride of 0.
+ */
+export function resolveVertexAttributes(desc, byteArrays = new Map()) {
+  const attribs = [];
+  let vertexCount = Number.MAX_SAFE_INTEGER;
+
+  const addAttribute = (attribName, attrib, semantic, inAttributes) => {
+    const prepared = prepareAttribute(attribName, attrib, semantic.format, byteArrays);
+    prepared.shaderLocation = semantic.shaderLocation;
+    prepared.inAttributes = inAttributes;
+    prepared.vertexCount = getVertexCount(prepared.byteArray, prepared.offset, prepared.arrayStride, prepared.format);
+    attribs.push(prepared);
+    vertexCount = Math.min(vertexCount, prepared.vertexCount);
+  };
+
+  for (const attribName of Object.keys(AttribLocation)) {
+    const attrib = desc[attribName];
+    if (attrib === undefined) { continue; }
+    addAttribute(attribName, attrib, AttributeRegistry.get(attribName), false);
+  }
+
+  for (const [attribName, attrib] of Object.entries(desc.attributes ?? {})) {
+    if (attrib === undefined) { continue; }
+    if (desc[attribName] !== undefined && AttribLocation[attribName] !== undefined) {
+      throw new Error(`Attribute ${attribName} is given both directly and in attributes.`);
+    }
+    addAttribute(attribName, attrib, getAttributeSemantic(attribName, attrib), true);
+  }
+
+  return { attribs, vertexCount };
+}
+
+// Processes a single GeometryDescriptor into the layout, vertex buffer layouts, and index data that it needs
+// without allocating any GPU resources. The buffer of each returned vertex buffer layout is the Uint8Array that
+// the vertex data should be copied from.
+function prepareGeometry(desc, options, byteArrays, descName) {
+  const label = desc.label ?? '';
+  let { attribs, vertexCount: maxVertices } = resolveVertexAttributes(desc, byteArrays);
+
+  // Instance attributes don't affect the number of vertices, and are never repacked because external streams have no
+  // values to copy.
+  const instanceAttribs = prepareInstanceAttributes(desc.instanceAttributes ?? [], byteArrays);
+
+  // Report conflicting locations by name, rather than leaving it to NormalizeBufferLayout.
+  const attribsByLocation = new Map();
+  for (const attrib of [...attribs, ...instanceAttribs]) {
+    if (attrib.shaderLocation >= options.maxVertexAttributes) {
+      throw new Error(`Attribute ${attrib.attribName} uses shader location ${attrib.shaderLocation}, but maxVertexAttributes is ${options.maxVertexAttributes}.`);
+    }
+    const other = attribsByLocation.get(attrib.shaderLocation);
+    if (other) {
+      throw new Error(`Attributes ${other.attribName} and ${attrib.attribName} both use shader location ${attrib.shaderLocation}.`);
+    }
+    attribsByLocation.set(attrib.shaderLocation, attrib);
+  }
+
+  const topology = desc.topology ?? 'triangle-list';
+  let { indexArray, indexFormat, typedIndices } = prepareIndices(desc, topology, maxVertices);
+
+  let drawCount = desc.drawCount;
+  if (drawCount === undefined) {
+    if (indexArray) {
+      drawCount = typedIndices.length;
+    } else {
+      drawCount = maxVertices;
+    }
+  }
+
+  const problems = [];
+  const primitiveSize = PrimitiveVertexCount[topology];
+  if (primitiveSize > 1 && (desc.drawCount !== undefined || indexArray) && drawCount % primitiveSize != 0) {
+    problems.push(`${indexArray ? 'index' : 'draw'} count of ${drawCount} is not a multiple of ${primitiveSize} for ${topology} topology`);
+  }
+  if (indexArray && drawCount > typedIndices.length) {
+    problems.push(`drawCount of ${drawCount} is larger than the ${typedIndices.length} indices given`);
+  } else if (!indexArray && drawCount > maxVertices) {
+    problems.push(`drawCount of ${drawCount} is larger than the ${maxVertices} vertices the attributes provide`);
+  }
+  if (problems.length) {
+    throw new Error(problems.join('; '));
+  }
 
-    if (desc.indices) {
-      if (Array.isArray(desc.indices)) {
-        const u32Array = new Uint32Array(desc.indices);
-        indexArray = new Uint8Array(u32Array.buffer, 0, u32Array.byteLength);
+  if (desc.generateNormals || desc.generateTangents) {
+    if (topology != 'triangle-list') {
+      throw new Error(`normals and tangents can only be generated for triangle-list topology, not ${topology}`);
+    }
+    if (desc.drawCount !== undefined) {
+      throw new Error('normals and tangents are generated for every triangle, so they can\'t be used with an explicit drawCount');
+    }
+    if (maxVertices == Number.MAX_SAFE_INTEGER || !attribs.some((attrib) => attrib.shaderLocation == AttribLocation.position)) {
+      throw new Error('normals and tangents can only be generated from a position attribute with a non-zero stride');
+    }
+
+    const generated = generateTangentSpace(desc, attribs, typedIndices, maxVertices);
+    attribs = generated.attribs;
+    maxVertices = generated.vertexCount;
+    if (typedIndices) {
+      // Split vertices may no longer fit in uint16 indices.
+      if (indexFormat == 'uint16' && maxVertices >= PrimitiveRestartIndex.uint16) {
         indexFormat = 'uint32';
+      }
+      typedIndices = indexFormat == 'uint16' ? new Uint16Array(generated.typedIndices) : generated.typedIndices;
+      indexArray = new Uint8Array(typedIndices.buffer, typedIndices.byteOffset, typedIndices.byteLength);
+      drawCount = typedIndices.length;
+    } else {
+      drawCount = maxVertices;
+    }
+  }
+
+  let optimizationStats = null;
+  const optimize = desc.optimize ?? options.optimize;
+  if (optimize) {
+    if (topology != 'triangle-list') {
+      throw new Error(`optimize is only supported for triangle-list topology, not ${topology}`);
+    }
+    if (desc.drawCount !== undefined) {
+      throw new Error('optimize reorders every triangle, so it can\'t be used with an explicit drawCount');
+    }
+    if (maxVertices == Number.MAX_SAFE_INTEGER) {
+      throw new Error('optimize requires at least one attribute with a non-zero stride');
+    }
+
+    const optimized = optimizeTriangleList(attribs, typedIndices, maxVertices, optimize);
+    attribs = optimized.streams;
+    maxVertices = optimized.vertexCount;
+    optimizationStats = optimized.stats;
+
+    // Non-indexed geometry becomes indexed once its vertices are welded.
+    indexFormat = indexFormat ?? desc.indexFormat ?? (maxVertices < PrimitiveRestartIndex.uint16 ? 'uint16' : 'uint32');
+    typedIndices = indexFormat == 'uint16' ? new Uint16Array(optimized.indices) : optimized.indices;
+    indexArray = new Uint8Array(typedIndices.buffer, typedIndices.byteOffset, typedIndices.byteLength);
+    drawCount = typedIndices.length;
+  }
+
+  let meshlets = null;
+  if (desc.meshlets) {
+    if (topology != 'triangle-list' || !indexArray) {
+      throw new Error('meshlets can only be built for indexed triangle-list geometry');
+    }
+    if (drawCount != typedIndices.length) {
+      throw new Error('meshlets reorder every triangle, so they can\'t be used with an explicit drawCount');
+    }
+    const positionAttrib = attribs.find((attrib) => attrib.shaderLocation == AttribLocation.position);
+    if (!positionAttrib) {
+      throw new Error('meshlets require a position attribute');
+    }
+
+    const positions = readComponents(positionAttrib, maxVertices, 3);
+    const built = buildMeshlets(typedIndices, positions, maxVertices, desc.meshlets === true ? {} : desc.meshlets);
+    meshlets = built.meshlets;
+    typedIndices = indexFormat == 'uint16' ? new Uint16Array(built.indices) : built.indices;
+    indexArray = new Uint8Array(typedIndices.buffer, typedIndices.byteOffset, typedIndices.byteLength);
+
+    // Grouping the triangles into meshlets undoes some of the vertex cache optimization.
+    if (optimizationStats) {
+      optimizationStats.acmrAfter = computeACMR(typedIndices);
+    }
+  }
+
+  // Only the diagnostics of the layout that's actually used are reported.
+  let diagnostics = [];
+  let bufferLayouts = normalizeAttributes([...attribs, ...instanceAttribs],
+                                          options.repackVertexBuffers ? undefined : options.maxVertexBuffers,
+                                          diagnostics);
+  if (bufferLayouts.length > options.maxVertexBuffers) {
+    if (maxVertices == Number.MAX_SAFE_INTEGER) {
+      throw new Error(`attributes need ${bufferLayouts.length} vertex buffers, more than the maxVertexBuffers limit of ${options.maxVertexBuffers}, and can't be repacked because every attribute has a stride of 0`);
+    }
+    diagnostics = [];
+    bufferLayouts = normalizeAttributes([...interleaveAttributes(attribs, maxVertices), ...instanceAttribs],
+                                        options.maxVertexBuffers, diagnostics);
+  }
+  for (const message of diagnostics) {
+    options.reportDiagnostic(`${descName}: ${message}`);
+  }
+
+  const layout = layoutCache.createLayout(bufferLayouts, topology, indexFormat);
+
+  const positionAttrib = attribs.find((attrib) => attrib.shaderLocation == AttribLocation.position);
+  const bounds = computeBounds(positionAttrib, maxVertices);
+
+  return {
+    label,
+    layout,
+    bufferLayouts,
+    indexArray,
+    indexFormat,
+    drawCount,
+    bounds,
+    optimizationStats,
+    meshlets,
+  };
+}
+
+// The index value which restarts strip primitives for each index format.
+const PrimitiveRestartIndex = {
+  uint16: 0xFFFF,
+  uint32: 0xFFFFFFFF,
+};
+
+// Number of vertices per primitive for list topologies. Strips are 1 since any count is valid for them.
+const PrimitiveVertexCount = {
+  'point-list': 1,
+  'line-list': 2,
+  'line-strip': 1,
+  'triangle-list': 3,
+  'triangle-strip': 1,
+};
+
+// Converts a descriptor's indices into a byte array and validates that every index refers to a vertex the attributes
+// provide. Plain arrays of indices use the uint16 format whenever every index fits, unless desc.indexFormat is given.
+function prepareIndices(desc, topology, vertexCount) {
+  if (!desc.indices) {
+    return { indexArray: null, indexFormat: undefined, typedIndices: null };
+  }
+
+  const indices = desc.indices;
+  let maxIndex = 0;
+  let indexFormat;
+  let typedIndices;
+
+  if (Array.isArray(indices)) {
+    for (let i = 0; i < indices.length; ++i) {
+      const index = indices[i];
+      if (!Number.isInteger(index) || index < 0 || index > PrimitiveRestartIndex.uint32) {
+        throw new Error(`index ${index} at position ${i} is not a valid index`);
+      }
+      maxIndex = Math.max(maxIndex, index);
+    }
+    // 0xFFFF is reserved for primitive restart with uint16 indices, so only use them when every index is lower.
+    indexFormat = desc.indexFormat ?? (maxIndex < PrimitiveRestartIndex.uint16 ? 'uint16' : 'uint32');
+    if (indexFormat == 'uint16' && maxIndex > PrimitiveRestartIndex.uint16) {
+      throw new Error(`index ${maxIndex} does not fit in the requested uint16 index format`);
+    }
+    typedIndices = indexFormat == 'uint16' ? new Uint16Array(indices) : new Uint32Array(indices);
+  } else {
+    if (indices instanceof Uint16Array) {
+      indexFormat = 'uint16';
+    } else if (indices instanceof Uint32Array) {
+      indexFormat = 'uint32';
+    } else {
+      throw new Error('indices must be a Uint16Array, Uint32Array, or number[]');
+    }
+    if (desc.indexFormat && desc.indexFormat != indexFormat) {
+      throw new Error(`indexFormat ${desc.indexFormat} does not match the ${indices.constructor.name} of indices given`);
+    }
+    typedIndices = indices;
+  }
+
+  // Strip topologies may use the primitive restart value, which isn't a real vertex index.
+  const restartIndex = (topology == 'line-strip' || topology == 'triangle-strip') ? PrimitiveRestartIndex[indexFormat] : -1;
+  for (let i = 0; i < typedIndices.length; ++i) {
+    const index = typedIndices[i];
+    if (index >= vertexCount && index != restartIndex) {
+      throw new Error(`index ${index} at position ${i} is out of range for the ${vertexCount} vertices the attributes provide`);
+    }
+  }
+
+  return {
+    indexArray: new Uint8Array(typedIndices.buffer, typedIndices.byteOffset, typedIndices.byteLength),
+    indexFormat,
+    typedIndices,
+  };
+}
+
+// Maximum number of levels in a LOD chain, including the base Geometry.
+const MAX_LODS = 8;
+
+const DEFAULT_LOD_HYSTERESIS = 0.1;
+
+// Prepares every level of a descriptor's LOD chain after the first, and validates that the switch points of the levels
+// are consistent with each other.
+function prepareLods(desc, options, byteArrays, descName) {
+  if (!desc.lods?.length) {
+    return [];
+  }
+  if (desc.lods.length + 1 > MAX_LODS) {
+    throw new Error(`LOD chains may have at most ${MAX_LODS} levels, but ${desc.lods.length + 1} were given`);
+  }
+
+  const useScreenSize = desc.lods[0].screenSize !== undefined;
+  let previous = useScreenSize ? Infinity : 0;
+  return desc.lods.map((lod, i) => {
+    const lodName = `LOD ${i + 1}`;
+    if (lod.desc.lods) {
+      throw new Error(`${lodName} can't have a LOD chain of its own`);
+    }
+    if ((lod.distance !== undefined) == (lod.screenSize !== undefined)) {
+      throw new Error(`${lodName} must give exactly one of distance or screenSize`);
+    }
+    if ((lod.screenSize !== undefined) != useScreenSize) {
+      throw new Error(`${lodName} uses a different switch metric than LOD 1, every level must use the same one`);
+    }
+    const threshold = useScreenSize ? lod.screenSize : lod.distance;
+    if (!(threshold > 0) || (useScreenSize ? threshold >= previous : threshold <= previous)) {
+      throw new Error(`${lodName} ${useScreenSize ? 'screenSize' : 'distance'} of ${threshold} must be positive and ` +
+                      `${useScreenSize ? 'smaller' : 'larger'} than the previous level's`);
+    }
+    previous = threshold;
+
+    return {
+      prepared: prepareGeometry(lod.desc, options, byteArrays, `${descName} ${lodName}`),
+      distance: lod.distance,
+      screenSize: lod.screenSize,
+    };
+  });
+}
+
+/**
+ * Processes GeometryDescriptors into the layouts, vertex buffer layouts and index data that they need without
+ * allocating any GPU resources, so that they can be placed into buffers by CreateBatch or a GeometryPool. Attribute
+ * values that are shared between descriptors will share the same Uint8Array in the returned vertex buffer layouts.
+ * @param {GPUDevice} device
+ * @param {GeometryDescriptor[]} descArray
+ * @param {GeometryBatchOptions} [options]
+ */
+export function prepareGeometries(device, descArray, options = {}) {
+  const prepareOptions = {
+    maxVertexBuffers: options.maxVertexBuffers ?? device.limits?.maxVertexBuffers ?? 8,
+    maxVertexAttributes: device.limits?.maxVertexAttributes ?? 16,
+    repackVertexBuffers: options.repackVertexBuffers ?? true,
+    optimize: options.optimize ?? false,
+    reportDiagnostic: (message) => {
+      if (options.diagnostics) {
+        options.diagnostics.push(message);
       } else {
-        indexFormat = desc.indices instanceof Uint16Array ? 'uint16' : 'uint32';
-        indexArray = new Uint8Array(desc.indices.buffer, desc.indices.byteOffset, desc.indices.byteLength);
+        console.warn(message);
       }
+    },
+  };
 
-      indexBinding = {
-        format: indexFormat,
-        buffer: indexArray,
-        offset: requiredIndexBufferSize,
-        size: indexArray.byteLength,
-        firstIndex: 0,
-      };
+  // Validate every descriptor before reporting errors, so that all invalid ones are listed together.
+  const byteArrays = new Map();
+  const errors = [];
+  const preparedGeometries = descArray.map((desc, i) => {
+    const descName = desc.label ? `Geometry "${desc.label}"` : `Geometry at index ${i}`;
+    try {
+      const prepared = prepareGeometry(desc, prepareOptions, byteArrays, descName);
+      prepared.lods = prepareLods(desc, prepareOptions, byteArrays, descName);
+      prepared.lodHysteresis = desc.lodHysteresis ?? DEFAULT_LOD_HYSTERESIS;
+      return prepared;
+    } catch (error) {
+      errors.push(`${descName}: ${error.message}`);
+      return null;
+    }
+  });
+
+  if (errors.length) {
+    throw new Error(errors.join('\n'));
+  }
+
+  return preparedGeometries;
+}
+
+// Returns the binding for an instance stream whose buffer is supplied when the Geometry is drawn. The offset is relative
+// to the start of that buffer.
+export function getInstanceStreamBinding(bufferLayout) {
+  return {
+    instanceStream: bufferLayout.buffer.instanceStream,
+    buffer: null,
+    offset: bufferLayout.bufferOffset,
+    size: undefined,
+  };
+}
+
+/**
+ * The vertex and index buffers shared by every Geometry in a batch. Each base Geometry holds a reference, and the
+ * buffers are destroyed when the last of them is destroyed.
+ */
+class BatchBuffers {
+  #buffers;
+  #memoryTracker;
+  #refCount = 0;
 
-      requiredIndexBufferSize += indexArray.byteLength;
+  constructor(buffers, memoryTracker) {
+    this.#buffers = buffers;
+    this.#memoryTracker = memoryTracker;
+  }
+
+  acquire() {
+    this.#refCount++;
+  }
+
+  release() {
+    this.#refCount--;
+    if (this.#refCount == 0) {
+      for (const buffer of this.#buffers) {
+        this.#memoryTracker.destroy(buffer);
+      }
+      this.#buffers = [];
     }
+  }
+}
+
+function buildGeometryBatch(device, descArray, options = {}) {
+  const memoryTracker = options.memoryTracker ?? MemoryTracker.default;
+  const preparedGeometries = prepareGeometries(device, descArray, options);
+
+  let arraySource = new Map();
+  let requiredVertexBufferSize = 0;
+  let requiredIndexBufferSize = 0;
 
-    const bufferLayouts = NormalizeBufferLayout([...vertexBufferLayouts.values()]);
-    const layout = layoutCache.createLayout(bufferLayouts, desc.topology ?? 'triangle-list', indexFormat);
+  // Every Geometry in the batch, including the levels of LOD chains.
+  const geometries = [];
 
+  const allocateGeometry = (prepared) => {
+    // Figure out how much space each vertex buffer will require, skipping any that are shared with a previous
+    // geometry.
     const vertexBindings = [];
-    for (const layout of bufferLayouts) {
+    for (const bufferLayout of prepared.bufferLayouts) {
+      if (bufferLayout.buffer.instanceStream !== undefined) {
+        vertexBindings.push(getInstanceStreamBinding(bufferLayout));
+        continue;
+      }
+
+      let source = arraySource.get(bufferLayout.buffer);
+      if (!source) {
+        source = {
+          byteArray: bufferLayout.buffer,
+          bufferOffset: requiredVertexBufferSize,
+          size: bufferLayout.buffer.byteLength,
+        };
+        arraySource.set(bufferLayout.buffer, source);
+
+        requiredVertexBufferSize += Math.ceil(source.size / 4) * 4;
+      }
+
       vertexBindings.push({
         buffer: null, // Will be populated after
-        offset: layout.bufferOffset,
-        size: arraySource.get(layout.buffer).size,
+        offset: source.bufferOffset + bufferLayout.bufferOffset,
+        size: source.size - bufferLayout.bufferOffset,
       });
     }
 
-    let drawCount = desc.drawCount;
-    if (drawCount === undefined) {
-      if (indexArray) {
-        drawCount = desc.indices.length;
-      } else {
-        drawCount = maxVertices;
-      }
+    let indexBinding;
+    if (prepared.indexArray) {
+      indexBinding = {
+        format: prepared.indexFormat,
+        buffer: prepared.indexArray,
+        offset: requiredIndexBufferSize,
+        size: prepared.indexArray.byteLength,
+        firstIndex: 0,
+      };
+
+      // Keep every range 4 byte aligned so that the firstIndex computed below is exact for either index format.
+      requiredIndexBufferSize += Math.ceil(prepared.indexArray.byteLength / 4) * 4;
     }
 
-    geometries.push({
-      layout,
+    const geometry = {
+      layout: prepared.layout,
       vertexBindings,
       indexBinding,
-      drawCount,
-    });
-  }
+      drawCount: prepared.drawCount,
+      bounds: prepared.bounds,
+      optimizationStats: prepared.optimizationStats,
+      meshlets: prepared.meshlets,
+    };
+    geometries.push(geometry);
+    return geometry;
+  };
+
+  const baseGeometries = preparedGeometries.map((prepared) => {
+    const geometry = allocateGeometry(prepared);
+    geometry.lods = prepared.lods.map((lod) => ({
+      geometry: allocateGeometry(lod.prepared),
+      distance: lod.distance,
+      screenSize: lod.screenSize,
+    }));
+    geometry.lodHysteresis = prepared.lodHysteresis;
+    return geometry;
+  });
 
   if (requiredVertexBufferSize == 0) {
     throw new Error('No vertex data provided');
@@ -221,6 +1014,9 @@ function buildGeometryBatch(device, descArray) {
     usage: GPUBufferUsage.VERTEX,
     mappedAtCreation: true,
   });
+  memoryTracker.track(vertexBuffer, MemoryCategory.vertex);
+  const buffers = [vertexBuffer];
+
   const vertexBufferArray = new Uint8Array(vertexBuffer.getMappedRange());
   for (const source of arraySource.values()) {
     vertexBufferArray.set(source.byteArray, source.bufferOffset);
@@ -229,7 +1025,9 @@ function buildGeometryBatch(device, descArray) {
 
   for (const geometry of geometries) {
     for (const binding of geometry.vertexBindings) {
-      binding.buffer = vertexBuffer;
+      if (binding.instanceStream === undefined) {
+        binding.buffer = vertexBuffer;
+      }
     }
   }
 
@@ -240,6 +1038,9 @@ function buildGeometryBatch(device, descArray) {
       usage: GPUBufferUsage.INDEX,
       mappedAtCreation: true,
     });
+    memoryTracker.track(indexBuffer, MemoryCategory.index);
+    buffers.push(indexBuffer);
+
     const indexBufferArray = new Uint8Array(indexBuffer.getMappedRange());
 
     for (const geometry of geometries) {
@@ -258,10 +1059,95 @@ function buildGeometryBatch(device, descArray) {
     indexBuffer.unmap();
   }
 
-  return geometries;
+  // Only base Geometry holds a reference to the buffers. LOD levels are destroyed along with their base Geometry.
+  const batchBuffers = new BatchBuffers(buffers, memoryTracker);
+  for (const geometry of baseGeometries) {
+    geometry.batchBuffers = batchBuffers;
+  }
+
+  return baseGeometries;
 }
 
 export class Geometry {
+  #batchBuffers = null;
+  #lodBase = null;
+  #destroyed = false;
+
+  /** WGSL struct matching the layout of the values written by Geometry.PackBounds() */
+  static BOUNDS_STRUCT = `
+    struct GeometryBounds {
+      center: vec3f,
+      radius: f32,
+      min: vec3f,
+      max: vec3f,
+    }
+  `;
+
+  /** Number of floats used by each Geometry's bounds in Geometry.PackBounds() */
+  static BOUNDS_ELEMENT_LENGTH = 12;
+
+  /** Maximum number of levels in a LOD chain, including the base Geometry */
+  static MAX_LODS = MAX_LODS;
+
+  /**
+   * WGSL struct matching the layout of the values written by Geometry.PackLods(). Thresholds are distances, or the
+   * reciprocal of screen sizes when useScreenSize is set, so that both increase as the LODs get coarser.
+   */
+  static LOD_STRUCT = `
+    struct GeometryLods {
+      count: u32,
+      useScreenSize: u32,
+      hysteresis: f32,
+      reserved: u32,
+      thresholds: array<vec4f, ${MAX_LODS / 4}>,
+    }
+  `;
+
+  /** Byte size of the arguments of a drawIndexedIndirect() call, used by indexed Geometry */
+  static DRAW_INDEXED_INDIRECT_SIZE = DRAW_INDEXED_INDIRECT_SIZE;
+
+  /** Byte size of the arguments of a drawIndirect() call, used by non-indexed Geometry */
+  static DRAW_INDIRECT_SIZE = DRAW_INDIRECT_SIZE;
+
+  /** WGSL struct matching the arguments written by writeIndirectArgs() for indexed Geometry */
+  static DRAW_INDEXED_INDIRECT_STRUCT = DRAW_INDEXED_INDIRECT_STRUCT;
+
+  /** WGSL struct matching the arguments written by writeIndirectArgs() for non-indexed Geometry */
+  static DRAW_INDIRECT_STRUCT = DRAW_INDIRECT_STRUCT;
+
+  /** Number of 32 bit words used by each Geometry's LOD chain in Geometry.PackLods() */
+  static LOD_ELEMENT_LENGTH = 4 + MAX_LODS;
+
+  /**
+   * WGSL function which selects the LOD to use for an instance, given its distance from the camera, the fraction of
+   * the viewport height its bounds cover, and the LOD it used last frame. Hysteresis moves the switch points on either
+   * side of the previous LOD further away, so instances near a switch point don't flicker between levels.
+   * Requires Geometry.LOD_STRUCT.
+   */
+  static LOD_SELECTION_WGSL = `
+    fn selectGeometryLod(lods: GeometryLods, distance: f32, screenSize: f32, prevLod: u32) -> u32 {
+      var metric = distance;
+      if (lods.useScreenSize != 0u) {
+        metric = 1.0 / max(screenSize, 1e-6);
+      }
+
+      var thresholds = lods.thresholds;
+      var lod = 0u;
+      for (var i = 1u; i < lods.count; i++) {
+        var threshold = thresholds[i / 4u][i % 4u];
+        if (i <= prevLod) {
+          threshold *= 1.0 - lods.hysteresis;
+        } else {
+          threshold *= 1.0 + lods.hysteresis;
+        }
+        if (metric >= threshold) {
+          lod = i;
+        }
+      }
+      return lod;
+    }
+  `;
+
   /**
    *
    * @param {GPUDevice} device
@@ -281,19 +1167,239 @@ export class Geometry {
     this.vertexBindings = geom.vertexBindings;
     this.indexBinding = geom.indexBinding;
     this.drawCount = geom.drawCount;
+    /** @type {GeometryBounds} */
+    this.bounds = geom.bounds ?? null;
+    /** @type {GeometryOptimizationStats} Only set if the geometry was optimized when it was built. */
+    this.optimizationStats = geom.optimizationStats ?? null;
+    /** @type {Meshlet[]} Only set if the geometry was built with the meshlets option. */
+    this.meshlets = geom.meshlets ?? null;
+    /**
+     * Every level of this geometry's LOD chain, from most to least detailed. The first level is always this geometry.
+     * @type {GeometryLodLevel[]}
+     */
+    this.lods = [{ geometry: this, distance: undefined, screenSize: undefined }];
+    for (const lod of geom.lods ?? []) {
+      const geometry = lod.geometry instanceof Geometry ? lod.geometry : new Geometry(device, lod.geometry);
+      geometry.#lodBase = this;
+      this.lods.push({
+        geometry,
+        distance: lod.distance,
+        screenSize: lod.screenSize,
+      });
+    }
+    this.lodHysteresis = geom.lodHysteresis ?? DEFAULT_LOD_HYSTERESIS;
+    this.pool = geom.pool ?? null;
+
+    if (geom.batchBuffers) {
+      this.#batchBuffers = geom.batchBuffers;
+      this.#batchBuffers.acquire();
+    }
+  }
+
+  /**
+   * Creates Geometry for every descriptor in the array, sharing a single vertex and index buffer between all of them.
+   * @param {GPUDevice} device
+   * @param {GeometryDescriptor[]} descArray
+   * @param {GeometryBatchOptions} [options]
+   * @returns {Geometry[]}
+   */
+  static CreateBatch(device, descArray, options) {
+    return buildGeometryBatch(device, descArray, options).map((g) => new Geometry(device, g));
+  }
+
+  /**
+   * Packs the bounds of every given Geometry into an array which matches an array<GeometryBounds> in WGSL, in the
+   * same order as the geometries. Geometry without bounds is written with a radius of 0.
+   * @param {Geometry[]} geometries
+   * @returns {Float32Array}
+   */
+  static PackBounds(geometries) {
+    const packed = new Float32Array(geometries.length * Geometry.BOUNDS_ELEMENT_LENGTH);
+    for (let i = 0; i < geometries.length; ++i) {
+      const bounds = geometries[i].bounds;
+      if (!bounds) { continue; }
+      const offset = i * Geometry.BOUNDS_ELEMENT_LENGTH;
+      packed.set(bounds.center, offset);
+      packed[offset + 3] = bounds.radius;
+      packed.set(bounds.min, offset + 4);
+      packed.set(bounds.max, offset + 8);
+    }
+    return packed;
+  }
+
+  /**
+   * Packs the LOD chains of every given Geometry into an array which matches an array<GeometryLods> in WGSL, in the
+   * same order as the geometries. Geometry without a LOD chain is written with a count of 1.
+   * @param {Geometry[]} geometries
+   * @returns {ArrayBuffer}
+   */
+  static PackLods(geometries) {
+    const packed = new ArrayBuffer(geometries.length * Geometry.LOD_ELEMENT_LENGTH * 4);
+    const uintArray = new Uint32Array(packed);
+    const floatArray = new Float32Array(packed);
+    for (let i = 0; i < geometries.length; ++i) {
+      const geometry = geometries[i];
+      const offset = i * Geometry.LOD_ELEMENT_LENGTH;
+      const useScreenSize = geometry.lods[1]?.screenSize !== undefined;
+      uintArray[offset] = geometry.lods.length;
+      uintArray[offset + 1] = useScreenSize ? 1 : 0;
+      floatArray[offset + 2] = geometry.lodHysteresis;
+      for (let j = 1; j < geometry.lods.length; ++j) {
+        const lod = geometry.lods[j];
+        floatArray[offset + 4 + j] = useScreenSize ? 1 / lod.screenSize : lod.distance;
+      }
+    }
+    return packed;
+  }
+
+  /**
+   * Packs indirect draw arguments for every given Geometry one after another, each using the layout that
+   * writeIndirectArgs() writes for it. Since indexed and non-indexed Geometry use different sizes, the byte offset of
+   * each Geometry's arguments is returned along with them, in the same order as the geometries.
+   * @param {(Geometry | IndirectArgsEntry)[]} entries
+   * @returns {{ data: ArrayBuffer, offsets: number[] }}
+   */
+  static PackIndirectArgs(entries) {
+    const offsets = [];
+    let byteLength = 0;
+    for (const entry of entries) {
+      offsets.push(byteLength);
+      byteLength += (entry.geometry ?? entry).indirectArgsSize;
+    }
+
+    const data = new ArrayBuffer(byteLength);
+    entries.forEach((entry, i) => {
+      const geometry = entry.geometry ?? entry;
+      geometry.writeIndirectArgs(data, offsets[i], entry.instanceCount ?? 1, entry.firstInstance ?? 0);
+    });
+    return { data, offsets };
+  }
+
+  /**
+   * Creates a buffer containing the indirect draw arguments of every given Geometry, as packed by PackIndirectArgs().
+   * @param {GPUDevice} device
+   * @param {(Geometry | IndirectArgsEntry)[]} entries
+   * @param {Object} [options]
+   * @param {string} [options.label]
+   * @param {GPUBufferUsageFlags} [options.usage] - Usage in addition to INDIRECT, STORAGE, and COPY_DST.
+   * @param {MemoryTracker} [options.memoryTracker] - Tracker the buffer is reported to under the indirect category.
+   *   Defaults to MemoryTracker.default.
+   * @returns {{ buffer: GPUBuffer, offsets: number[] }}
+   */
+  static CreateIndirectBuffer(device, entries, options = {}) {
+    const { data, offsets } = Geometry.PackIndirectArgs(entries);
+    const memoryTracker = options.memoryTracker ?? MemoryTracker.default;
+    const buffer = memoryTracker.createBuffer(device, {
+      label: options.label,
+      size: Math.max(data.byteLength, 4),
+      usage: GPUBufferUsage.INDIRECT | GPUBufferUsage.STORAGE | GPUBufferUsage.COPY_DST | (options.usage ?? 0),
+      mappedAtCreation: true,
+    }, MemoryCategory.indirect);
+    new Uint8Array(buffer.getMappedRange()).set(new Uint8Array(data));
+    buffer.unmap();
+    return { buffer, offsets };
+  }
+
+  /**
+   * Byte size of the indirect draw arguments for this geometry: Geometry.DRAW_INDEXED_INDIRECT_SIZE if it's indexed,
+   * or Geometry.DRAW_INDIRECT_SIZE if not. In both layouts the instance count is the second u32.
+   * @type {number}
+   */
+  get indirectArgsSize() {
+    return this.indexBinding ? Geometry.DRAW_INDEXED_INDIRECT_SIZE : Geometry.DRAW_INDIRECT_SIZE;
   }
 
-  static CreateBatch(device, descArray) {
-    return buildGeometryBatch(device, descArray).map((g) => new Geometry(device, g));
+  /**
+   * Writes the arguments to draw this geometry with drawIndirect(), in the layout of DrawIndexedIndirectArgs or
+   * DrawIndirectArgs depending on whether it's indexed. A non-zero firstInstance requires the
+   * 'indirect-first-instance' feature.
+   * @param {ArrayBuffer | ArrayBufferView | GPUBuffer} target - GPUBuffers are written with queue.writeBuffer().
+   * @param {number} [byteOffset=0] - Offset into the target, which must be a multiple of 4.
+   * @param {number} [instanceCount=1]
+   * @param {number} [firstInstance=0]
+   * @returns {number} The number of bytes written.
+   */
+  writeIndirectArgs(target, byteOffset = 0, instanceCount = 1, firstInstance = 0) {
+    if (byteOffset % 4 != 0) {
+      throw new Error(`Indirect args byte offset ${byteOffset} is not a multiple of 4.`);
+    }
+
+    const args = this.indexBinding ?
+      [this.drawCount, instanceCount, this.indexBinding.firstIndex, 0, firstInstance] :
+      [this.drawCount, instanceCount, 0, firstInstance];
+
+    if (target instanceof ArrayBuffer || ArrayBuffer.isView(target)) {
+      const dataView = target instanceof ArrayBuffer ?
+        new DataView(target) : new DataView(target.buffer, target.byteOffset, target.byteLength);
+      for (let i = 0; i < args.length; ++i) {
+        dataView.setUint32(byteOffset + i * 4, args[i], true);
+      }
+    } else {
+      this.device.queue.writeBuffer(target, byteOffset, new Uint32Array(args));
+    }
+    return args.length * 4;
+  }
+
+  /**
+   * Returns this geometry's space to the GeometryPool it was allocated from. The geometry must not be used afterwards.
+   */
+  release() {
+    if (!this.pool) {
+      throw new Error('Only Geometry allocated from a GeometryPool can be released.');
+    }
+    this.destroy();
+  }
+
+  /**
+   * Frees the GPU memory used by this geometry and every level of its LOD chain. Geometry allocated from a
+   * GeometryPool returns its space to the pool, otherwise the batch's shared vertex and index buffers are destroyed
+   * once every Geometry created with them has been destroyed. LOD levels are owned by their base Geometry, so
+   * destroying one directly has no effect. Calling destroy() more than once is allowed. The geometry must not be used
+   * afterwards.
+   */
+  destroy() {
+    if (this.#destroyed || this.#lodBase) { return; }
+    this.#destroyed = true;
+
+    for (let i = 1; i < this.lods.length; ++i) {
+      this.lods[i].geometry.#destroyed = true;
+    }
+
+    if (this.pool) {
+      this.pool.release(this);
+    } else {
+      this.#batchBuffers?.release();
+      this.#batchBuffers = null;
+    }
+  }
+
+  /** True once destroy() has been called on this geometry or the base of its LOD chain. */
+  get destroyed() {
+    return this.#destroyed;
   }
 
   /**
    * Sets the Vertex and Index buffers for this geometry
-   * @param {GPURenderPassEncoder} renderPass
+   * @param {GPURenderPassEncoder | GPURenderBundleEncoder} renderPass
+   * @param {Object<string, InstanceStreamBuffer>} [instanceBuffers] - Buffers for each instance stream named by the
+   *   geometry's instanceAttributes.
    */
-  setBuffers(renderPass) {
+  setBuffers(renderPass, instanceBuffers) {
     for (let i = 0; i < this.vertexBindings.length; ++i) {
       const binding = this.vertexBindings[i];
+      if (binding.instanceStream !== undefined) {
+        const streamBuffer = instanceBuffers?.[binding.instanceStream];
+        if (!streamBuffer) {
+          throw new Error(`No buffer was given for instance stream "${binding.instanceStream}".`);
+        }
+        if (streamBuffer.buffer) {
+          const size = streamBuffer.size !== undefined ? streamBuffer.size - binding.offset : undefined;
+          renderPass.setVertexBuffer(i, streamBuffer.buffer, (streamBuffer.offset ?? 0) + binding.offset, size);
+        } else {
+          renderPass.setVertexBuffer(i, streamBuffer, binding.offset);
+        }
+        continue;
+      }
       renderPass.setVertexBuffer(i, binding.buffer, binding.offset, binding.size);
     }
 
@@ -311,6 +1417,20 @@ export class Geometry {
     }
   }
 
+  /**
+   * Draws this geometry with the indirect draw call that matches the arguments written by writeIndirectArgs().
+   * @param {GPURenderPassEncoder | GPURenderBundleEncoder} renderPass
+   * @param {GPUBuffer} indirectBuffer
+   * @param {number} [indirectOffset=0]
+   */
+  drawIndirect(renderPass, indirectBuffer, indirectOffset = 0) {
+    if (this.indexBinding) {
+      renderPass.drawIndexedIndirect(indirectBuffer, indirectOffset);
+    } else {
+      renderPass.drawIndirect(indirectBuffer, indirectOffset);
+    }
+  }
+
   static getLayoutCache() {
     return layoutCache;
   }
@@ -0,0 +1,576 @@
+// Loads glTF 2.0 assets into GeometryDescriptors, along with the materials and instance transforms needed to draw them.
+// Only the parts of glTF that describe geometry are handled: meshes, nodes, and the base color of materials.
+
+import { Geometry, AttributeRegistry } from './geometry.js';
+import { DefaultStride, getVertexFormatInfo, readVertexAttribute } from './vertex-format.js';
+import { mat4 } from 'https://cdn.jsdelivr.net/npm/gl-matrix@3.4.3/esm/index.js';
+
+const GLB_MAGIC = 0x46546C67; // 'glTF'
+const GLB_CHUNK_JSON = 0x4E4F534A; // 'JSON'
+const GLB_CHUNK_BIN = 0x004E4942; // 'BIN\0'
+
+const ComponentType = {
+  5120: { type: 'sint', normalizedType: 'snorm', bits: 8 },
+  5121: { type: 'uint', normalizedType: 'unorm', bits: 8 },
+  5122: { type: 'sint', normalizedType: 'snorm', bits: 16 },
+  5123: { type: 'uint', normalizedType: 'unorm', bits: 16 },
+  5125: { type: 'uint', bits: 32 },
+  5126: { type: 'float', bits: 32 },
+};
+
+const ElementComponents = {
+  SCALAR: 1,
+  VEC2: 2,
+  VEC3: 3,
+  VEC4: 4,
+  MAT2: 4,
+  MAT3: 9,
+  MAT4: 16,
+};
+
+const PrimitiveTopology = {
+  0: 'point-list',
+  1: 'line-list',
+  2: 'line-list', // LINE_LOOP, converted to a list.
+  3: 'line-strip',
+  4: 'triangle-list',
+  5: 'triangle-strip',
+  6: 'triangle-list', // TRIANGLE_FAN, converted to a list.
+};
+
+// glTF attribute semantics and the GeometryDescriptor attributes they map to.
+const AttributeSemantic = {
+  POSITION: 'position',
+  NORMAL: 'normal',
+  TANGENT: 'tangent',
+  TEXCOORD_0: 'texcoord0',
+  TEXCOORD_1: 'texcoord1',
+  COLOR_0: 'color',
+  JOINTS_0: 'joints',
+  WEIGHTS_0: 'weights',
+};
+
+const SupportedExtensions = new Set([
+  'KHR_mesh_quantization',
+]);
+
+/**
+ * Material of a glTF primitive. Only the properties that affect the base color are loaded.
+ * @typedef {Object} GltfMaterial
+ * @prop {string} [name]
+ * @prop {number[]} baseColorFactor - Linear RGBA.
+ * @prop {string} alphaMode - 'OPAQUE', 'MASK', or 'BLEND'.
+ * @prop {number} alphaCutoff
+ * @prop {boolean} doubleSided
+ */
+
+/**
+ * A single primitive of a glTF mesh
+ * @typedef {Object} GltfPrimitive
+ * @prop {number} geometryIndex - Index into GltfScene.geometryDescs.
+ * @prop {number} materialIndex - Index into GltfScene.materials.
+ */
+
+/**
+ * @typedef {Object} GltfMesh
+ * @prop {string} [name]
+ * @prop {GltfPrimitive[]} primitives
+ */
+
+/**
+ * A node of the scene that draws a mesh
+ * @typedef {Object} GltfInstance
+ * @prop {number} nodeIndex
+ * @prop {number} meshIndex
+ * @prop {Float32Array} transform - World transform of the node.
+ */
+
+/**
+ * Contents of a glTF asset, ready to be built into Geometry
+ * @typedef {Object} GltfScene
+ * @prop {GeometryDescriptor[]} geometryDescs - One for each mesh primitive.
+ * @prop {GltfMaterial[]} materials - The asset's materials, followed by a default material for primitives without one.
+ * @prop {GltfMesh[]} meshes
+ * @prop {GltfInstance[]} instances
+ */
+
+/**
+ * A primitive to draw, along with every instance of it in the scene
+ * @typedef {Object} GltfDrawable
+ * @prop {Geometry} geometry
+ * @prop {GltfMaterial} material
+ * @prop {number} instanceCount
+ * @prop {Float32Array} instanceTransforms - A 4x4 matrix for each instance, tightly packed.
+ */
+
+export const DEFAULT_GLTF_MATERIAL = Object.freeze({
+  name: 'Default',
+  baseColorFactor: Object.freeze([1, 1, 1, 1]),
+  alphaMode: 'OPAQUE',
+  alphaCutoff: 0.5,
+  doubleSided: false,
+});
+
+function decodeText(data) {
+  return new TextDecoder().decode(data);
+}
+
+function decodeDataUri(uri) {
+  const match = uri.match(/^data:[^,]*?(;base64)?,(.*)$/);
+  if (!match) {
+    throw new Error(`Invalid data URI ${uri.slice(0, 32)}...`);
+  }
+  if (!match[1]) {
+    return new TextEncoder().encode(decodeURIComponent(match[2]));
+  }
+  const binary = atob(match[2]);
+  const bytes = new Uint8Array(binary.length);
+  for (let i = 0; i < binary.length; ++i) {
+    bytes[i] = binary.charCodeAt(i);
+  }
+  return bytes;
+}
+
+// Splits a GLB container into its JSON and the optional binary chunk.
+function parseGlb(arrayBuffer) {
+  const dataView = new DataView(arrayBuffer);
+  const version = dataView.getUint32(4, true);
+  if (version != 2) {
+    throw new Error(`Unsupported GLB version ${version}`);
+  }
+  const length = Math.min(dataView.getUint32(8, true), arrayBuffer.byteLength);
+
+  let json = null;
+  let bin = null;
+  let offset = 12;
+  while (offset + 8 <= length) {
+    const chunkLength = dataView.getUint32(offset, true);
+    const chunkType = dataView.getUint32(offset + 4, true);
+    const chunkData = new Uint8Array(arrayBuffer, offset + 8, chunkLength);
+    if (chunkType == GLB_CHUNK_JSON) {
+      json = JSON.parse(decodeText(chunkData));
+    } else if (chunkType == GLB_CHUNK_BIN && !bin) {
+      bin = chunkData;
+    }
+    // Unknown chunks are skipped, as required by the spec.
+    offset += 8 + chunkLength;
+  }
+
+  if (!json) {
+    throw new Error('GLB is missing its JSON chunk');
+  }
+  return { json, bin };
+}
+
+function toByteArray(data) {
+  if (data instanceof ArrayBuffer) {
+    return new Uint8Array(data);
+  } else if (ArrayBuffer.isView(data)) {
+    return new Uint8Array(data.buffer, data.byteOffset, data.byteLength);
+  }
+  return null;
+}
+
+// Returns the contents of every buffer in the asset.
+function resolveBuffers(json, bin, buffers) {
+  return (json.buffers ?? []).map((buffer, i) => {
+    let data;
+    if (buffer.uri === undefined) {
+      if (i != 0 || !bin) {
+        throw new Error(`Buffer ${i} has no uri and there's no GLB binary chunk`);
+      }
+      data = bin;
+    } else if (buffer.uri.startsWith('data:')) {
+      data = decodeDataUri(buffer.uri);
+    } else {
+      data = toByteArray(Array.isArray(buffers) ? buffers[i] : buffers[buffer.uri] ?? buffers[decodeURIComponent(buffer.uri)]);
+      if (!data) {
+        throw new Error(`No data was given for buffer ${i} (${buffer.uri})`);
+      }
+    }
+    if (data.byteLength < buffer.byteLength) {
+      throw new Error(`Buffer ${i} is ${data.byteLength} bytes, but should be ${buffer.byteLength}`);
+    }
+    return data;
+  });
+}
+
+// Builds GeometryDescriptors, materials, and instances from a parsed glTF document.
+class GltfParser {
+  #json;
+  #buffers;
+  #bufferViews = new Map(); // Map of bufferView index to the Uint8Array of its bytes.
+  #accessorValues = new Map(); // Map of accessor index to its decoded values, for accessors that can't be used directly.
+
+  constructor(json, buffers) {
+    this.#json = json;
+    this.#buffers = buffers;
+  }
+
+  // Every accessor that uses a buffer view gets the same array for it, which lets buildGeometryBatch upload
+  // interleaved data once for all of the primitives that use it.
+  #getBufferView(index) {
+    let byteArray = this.#bufferViews.get(index);
+    if (!byteArray) {
+      const bufferView = this.#json.bufferViews?.[index];
+      if (!bufferView) {
+        throw new Error(`Invalid buffer view ${index}`);
+      }
+      const buffer = this.#buffers[bufferView.buffer];
+      if (!buffer) {
+        throw new Error(`Buffer view ${index} uses invalid buffer ${bufferView.buffer}`);
+      }
+      const byteOffset = bufferView.byteOffset ?? 0;
+      if (byteOffset + bufferView.byteLength > buffer.byteLength) {
+        throw new Error(`Buffer view ${index} extends past the end of buffer ${bufferView.buffer}`);
+      }
+      byteArray = buffer.subarray(byteOffset, byteOffset + bufferView.byteLength);
+      this.#bufferViews.set(index, byteArray);
+    }
+    return byteArray;
+  }
+
+  #getAccessor(index) {
+    const accessor = this.#json.accessors?.[index];
+    if (!accessor) {
+      throw new Error(`Invalid accessor ${index}`);
+    }
+    const componentType = ComponentType[accessor.componentType];
+    const components = ElementComponents[accessor.type];
+    if (!componentType || !components) {
+      throw new Error(`Accessor ${index} has unsupported type ${accessor.type} of ${accessor.componentType}`);
+    }
+    return { accessor, componentType, components };
+  }
+
+  // The format that reads an accessor's elements as stored. This isn't always a valid GPUVertexFormat, since WebGPU
+  // has no 3 component 8 or 16 bit formats, so those have to be read with #readElements().
+  #getReadFormat(accessor, componentType, components) {
+    const type = accessor.normalized ? componentType.normalizedType : componentType.type;
+    if (!type) {
+      throw new Error(`Accessor with component type ${accessor.componentType} can't be normalized`);
+    }
+    return `${type}${componentType.bits}${components > 1 ? `x${components}` : ''}`;
+  }
+
+  // Reads an accessor's elements into a tightly packed Float32Array. Elements without a matching GPUVertexFormat are
+  // read one component at a time.
+  #readElements(byteArray, offset, stride, accessor, componentType, components, count) {
+    const format = this.#getReadFormat(accessor, componentType, components);
+    if (Object.hasOwn(DefaultStride, format)) {
+      return readVertexAttribute(byteArray, offset, stride, format, count);
+    }
+
+    const componentFormat = this.#getReadFormat(accessor, componentType, 1);
+    const values = new Float32Array(count * components);
+    for (let j = 0; j < components; ++j) {
+      const componentValues = readVertexAttribute(byteArray, offset + j * componentType.bits / 8, stride,
+                                                  componentFormat, count);
+      for (let i = 0; i < count; ++i) {
+        values[i * components + j] = componentValues[i];
+      }
+    }
+    return values;
+  }
+
+  // Reads an accessor into a tightly packed Float32Array, applying any sparse substitution.
+  #readAccessor(index) {
+    let values = this.#accessorValues.get(index);
+    if (values) { return values; }
+
+    const { accessor, componentType, components } = this.#getAccessor(index);
+    const elementSize = components * componentType.bits / 8;
+    if (accessor.bufferView !== undefined) {
+      const byteArray = this.#getBufferView(accessor.bufferView);
+      const stride = this.#json.bufferViews[accessor.bufferView].byteStride ?? elementSize;
+      values = this.#readElements(byteArray, accessor.byteOffset ?? 0, stride, accessor, componentType, components,
+                                  accessor.count);
+    } else {
+      values = new Float32Array(accessor.count * components);
+    }
+
+    if (accessor.sparse) {
+      const { count, indices, values: sparseValues } = accessor.sparse;
+      const indexInfo = ComponentType[indices.componentType];
+      const indexArray = readVertexAttribute(this.#getBufferView(indices.bufferView), indices.byteOffset ?? 0,
+                                             indexInfo.bits / 8, `uint${indexInfo.bits}`, count);
+      const substitutes = this.#readElements(this.#getBufferView(sparseValues.bufferView),
+                                             sparseValues.byteOffset ?? 0, elementSize, accessor, componentType,
+                                             components, count);
+      for (let i = 0; i < count; ++i) {
+        values.set(substitutes.subarray(i * components, (i + 1) * components), indexArray[i] * components);
+      }
+    }
+
+    this.#accessorValues.set(index, values);
+    return values;
+  }
+
+  // Returns an AttributeDescriptor which reads an accessor directly from its buffer view when possible, or from a
+  // decoded copy of its values otherwise.
+  #getAttribute(index, semantic) {
+    const { accessor, componentType, components } = this.#getAccessor(index);
+    const format = this.#getReadFormat(accessor, componentType, components);
+    const byteStride = this.#json.bufferViews?.[accessor.bufferView]?.byteStride;
+    const stride = byteStride ?? components * componentType.bits / 8;
+
+    // Joints are the only standard attribute that's read as integers, so other integer attributes (which are allowed by
+    // KHR_mesh_quantization) are converted to floats. So are elements the GPU can't read as stored.
+    const usable = components <= 4 && !(components == 3 && componentType.bits < 32) && stride % 4 == 0 &&
+                   (semantic == 'joints' || accessor.normalized || componentType.type == 'float');
+
+    if (usable && accessor.bufferView !== undefined && !accessor.sparse) {
+      const attrib = {
+        values: this.#getBufferView(accessor.bufferView),
+        offset: accessor.byteOffset ?? 0,
+        format,
+      };
+      // Tightly packed views use the format's size, which the descriptor assumes when no stride is given.
+      if (byteStride !== undefined) {
+        attrib.stride = byteStride;
+      }
+      return attrib;
+    }
+
+    return {
+      values: this.#readAccessor(index),
+      format: components == 1 ? 'float32' : `float32x${components}`,
+    };
+  }
+
+  #getIndices(index) {
+    const { accessor, componentType, components } = this.#getAccessor(index);
+    if (components != 1 || componentType.type != 'uint') {
+      throw new Error(`Index accessor ${index} must be unsigned integer scalars`);
+    }
+    if (componentType.bits != 8 && accessor.bufferView !== undefined && !accessor.sparse) {
+      const byteArray = this.#getBufferView(accessor.bufferView);
+      const byteOffset = byteArray.byteOffset + (accessor.byteOffset ?? 0);
+      const ArrayType = componentType.bits == 16 ? Uint16Array : Uint32Array;
+      // Views require aligned offsets, which the spec guarantees but not every exporter produces.
+      if (byteOffset % ArrayType.BYTES_PER_ELEMENT == 0) {
+        return new ArrayType(byteArray.buffer, byteOffset, accessor.count);
+      }
+      return new ArrayType(byteArray.buffer.slice(byteOffset, byteOffset + accessor.count * ArrayType.BYTES_PER_ELEMENT));
+    }
+    const values = this.#readAccessor(index);
+    return componentType.bits == 32 ? Uint32Array.from(values) : Uint16Array.from(values);
+  }
+
+  #getGeometryDesc(mesh, meshIndex, primitive, primitiveIndex) {
+    const label = `${mesh.name ?? `Mesh ${meshIndex}`} primitive ${primitiveIndex}`;
+    const mode = primitive.mode ?? 4;
+    const topology = PrimitiveTopology[mode];
+    if (!topology) {
+      throw new Error(`${label} has unknown mode ${mode}`);
+    }
+    if (primitive.attributes?.POSITION === undefined) {
+      throw new Error(`${label} has no POSITION attribute`);
+    }
+
+    const desc = { label, topology };
+    for (const [semantic, accessorIndex] of Object.entries(primitive.attributes)) {
+      let attribName = AttributeSemantic[semantic];
+      if (attribName) {
+        desc[attribName] = this.#getAttribute(accessorIndex, attribName);
+        continue;
+      }
+
+      // Other semantics like TEXCOORD_2 or COLOR_1 are included if an attribute has been registered for them.
+      const match = semantic.match(/^(TEXCOORD|COLOR|JOINTS|WEIGHTS)_(\d+)$/);
+      attribName = match ? `${match[1].toLowerCase()}${match[2]}` : semantic;
+      if (AttributeRegistry.get(attribName)) {
+        desc.attributes ??= {};
+        desc.attributes[attribName] = this.#getAttribute(accessorIndex, attribName);
+      }
+    }
+
+    const vertexCount = this.#json.accessors[primitive.attributes.POSITION].count;
+    let indices = primitive.indices !== undefined ? this.#getIndices(primitive.indices) : null;
+
+    // WebGPU has no line loops or triangle fans, so build list indices for them.
+    if (mode == 2 || mode == 6) {
+      const source = indices ?? Uint32Array.from({ length: vertexCount }, (_, i) => i);
+      const converted = [];
+      if (mode == 2) {
+        for (let i = 0; i < source.length; ++i) {
+          converted.push(source[i], source[(i + 1) % source.length]);
+        }
+      } else {
+        for (let i = 2; i < source.length; ++i) {
+          converted.push(source[0], source[i - 1], source[i]);
+        }
+      }
+      indices = vertexCount <= 0xFFFF ? new Uint16Array(converted) : new Uint32Array(converted);
+    }
+
+    if (indices) {
+      desc.indices = indices;
+    } else if (this.#getAvailableVertices(desc.position) > vertexCount) {
+      // The position's buffer view holds more than this primitive's vertices, so only draw the ones it uses.
+      desc.drawCount = vertexCount;
+    }
+
+    return desc;
+  }
+
+  // Number of elements an attribute's values can supply, which may be more than its accessor's count when a buffer
+  // view is shared between accessors.
+  #getAvailableVertices(attrib) {
+    const size = getVertexFormatInfo(attrib.format).byteSize;
+    const stride = attrib.stride ?? size;
+    return Math.floor((attrib.values.byteLength - (attrib.offset ?? 0) - size) / stride) + 1;
+  }
+
+  #getMaterial(material) {
+    const pbr = material.pbrMetallicRoughness ?? {};
+    return {
+      name: material.name,
+      baseColorFactor: pbr.baseColorFactor ?? [1, 1, 1, 1],
+      alphaMode: material.alphaMode ?? 'OPAQUE',
+      alphaCutoff: material.alphaCutoff ?? 0.5,
+      doubleSided: material.doubleSided ?? false,
+    };
+  }
+
+  #getNodeTransform(node) {
+    if (node.matrix) {
+      return new Float32Array(node.matrix);
+    }
+    return mat4.fromRotationTranslationScale(mat4.create(),
+      node.rotation ?? [0, 0, 0, 1],
+      node.translation ?? [0, 0, 0],
+      node.scale ?? [1, 1, 1]);
+  }
+
+  parse() {
+    const json = this.#json;
+    const materials = (json.materials ?? []).map((material) => this.#getMaterial(material));
+    const defaultMaterialIndex = materials.length;
+    materials.push(DEFAULT_GLTF_MATERIAL);
+
+    const geometryDescs = [];
+    const meshes = (json.meshes ?? []).map((mesh, meshIndex) => ({
+      name: mesh.name,
+      primitives: mesh.primitives.map((primitive, primitiveIndex) => {
+        geometryDescs.push(this.#getGeometryDesc(mesh, meshIndex, primitive, primitiveIndex));
+        return {
+          geometryIndex: geometryDescs.length - 1,
+          materialIndex: primitive.material ?? defaultMaterialIndex,
+        };
+      }),
+    }));
+
+    // Walk the node hierarchy of the default scene. Assets without scenes have their root nodes drawn instead.
+    const nodes = json.nodes ?? [];
+    let roots;
+    if (json.scenes?.length) {
+      roots = json.scenes[json.scene ?? 0].nodes ?? [];
+    } else {
+      const children = new Set(nodes.flatMap((node) => node.children ?? []));
+      roots = nodes.map((_, i) => i).filter((i) => !children.has(i));
+    }
+
+    const instances = [];
+    const visited = new Set();
+    const visit = (nodeIndex, parentTransform) => {
+      const node = nodes[nodeIndex];
+      if (!node) {
+        throw new Error(`Invalid node ${nodeIndex}`);
+      }
+      if (visited.has(nodeIndex)) {
+        throw new Error(`Node ${nodeIndex} appears more than once in the scene hierarchy`);
+      }
+      visited.add(nodeIndex);
+
+      const transform = this.#getNodeTransform(node);
+      if (parentTransform) {
+        mat4.multiply(transform, parentTransform, transform);
+      }
+      if (node.mesh !== undefined) {
+        if (!meshes[node.mesh]) {
+          throw new Error(`Node ${nodeIndex} uses invalid mesh ${node.mesh}`);
+        }
+        instances.push({ nodeIndex, meshIndex: node.mesh, transform });
+      }
+      for (const child of node.children ?? []) {
+        visit(child, transform);
+      }
+    };
+    for (const root of roots) {
+      visit(root, null);
+    }
+
+    return { geometryDescs, materials, meshes, instances };
+  }
+}
+
+/**
+ * Parses a glTF 2.0 asset. The asset may be a .glb file, or .gltf JSON given as text, an ArrayBuffer, or an already
+ * parsed object. Buffers referenced by URI must be supplied, either as an array in the same order as the asset's
+ * buffers or as an object keyed by URI, since nothing is fetched. Data URIs are decoded automatically.
+ * @param {ArrayBuffer | string | Object} data
+ * @param {ArrayBuffer[] | Object<string, ArrayBuffer>} [buffers]
+ * @returns {GltfScene}
+ */
+export function parseGltf(data, buffers = []) {
+  let json;
+  let bin = null;
+  if (typeof data == 'string') {
+    json = JSON.parse(data);
+  } else if (data instanceof ArrayBuffer || ArrayBuffer.isView(data)) {
+    const byteArray = toByteArray(data);
+    const arrayBuffer = byteArray.buffer.slice(byteArray.byteOffset, byteArray.byteOffset + byteArray.byteLength);
+    if (byteArray.byteLength >= 12 && new DataView(arrayBuffer).getUint32(0, true) == GLB_MAGIC) {
+      ({ json, bin } = parseGlb(arrayBuffer));
+    } else {
+      json = JSON.parse(decodeText(byteArray));
+    }
+  } else {
+    json = data;
+  }
+
+  const version = json.asset?.version;
+  if (!version?.startsWith('2.')) {
+    throw new Error(`Unsupported glTF version ${version}`);
+  }
+  for (const extension of json.extensionsRequired ?? []) {
+    if (!SupportedExtensions.has(extension)) {
+      throw new Error(`Unsupported required extension ${extension}`);
+    }
+  }
+
+  return new GltfParser(json, resolveBuffers(json, bin, buffers)).parse();
+}
+
+/**
+ * Builds every primitive of a parsed glTF asset into a batch of Geometry, and groups the scene's instances by the
+ * primitive they draw.
+ * @param {GPUDevice} device
+ * @param {GltfScene} scene
+ * @param {GeometryBatchOptions} [options]
+ * @returns {{ geometries: Geometry[], drawables: GltfDrawable[] }}
+ */
+export function createGltfBatch(device, scene, options = {}) {
+  const geometries = Geometry.CreateBatch(device, scene.geometryDescs, options);
+
+  const drawables = [];
+  scene.meshes.forEach((mesh, meshIndex) => {
+    const instances = scene.instances.filter((instance) => instance.meshIndex == meshIndex);
+    if (!instances.length) { return; }
+
+    const instanceTransforms = new Float32Array(instances.length * 16);
+    instances.forEach((instance, i) => instanceTransforms.set(instance.transform, i * 16));
+
+    for (const primitive of mesh.primitives) {
+      drawables.push({
+        geometry: geometries[primitive.geometryIndex],
+        material: scene.materials[primitive.materialIndex],
+        instanceCount: instances.length,
+        instanceTransforms,
+      });
+    }
+  });
+
+  return { geometries, drawables };
+}
@@ -0,0 +1,28 @@
+// Layouts of the arguments of indirect draw calls, shared by Geometry and the meshlet cluster culling shader.
+
+/** Byte size of the arguments of a drawIndexedIndirect() call */
+export const DRAW_INDEXED_INDIRECT_SIZE = 20;
+
+/** Byte size of the arguments of a drawIndirect() call */
+export const DRAW_INDIRECT_SIZE = 16;
+
+/** WGSL struct matching the arguments of a drawIndexedIndirect() call */
+export const DRAW_INDEXED_INDIRECT_STRUCT = `
+  struct DrawIndexedIndirectArgs {
+    indexCount: u32,
+    instanceCount: u32,
+    firstIndex: u32,
+    baseVertex: i32,
+    firstInstance: u32,
+  }
+`;
+
+/** WGSL struct matching the arguments of a drawIndirect() call */
+export const DRAW_INDIRECT_STRUCT = `
+  struct DrawIndirectArgs {
+    vertexCount: u32,
+    instanceCount: u32,
+    firstVertex: u32,
+    firstInstance: u32,
+  }
+`;
@@ -0,0 +1,128 @@
+/**
+ * Categories that tracked GPU memory is tallied under.
+ */
+export const MemoryCategory = Object.freeze({
+  vertex: 'vertex',
+  index: 'index',
+  instance: 'instance',
+  indirect: 'indirect',
+  query: 'query',
+  other: 'other',
+});
+
+// Query sets don't report a size, so assume each query resolves to a single 64 bit value.
+const QUERY_SIZE = BigUint64Array.BYTES_PER_ELEMENT;
+
+function getResourceSize(resource) {
+  if (resource.size !== undefined) {
+    return resource.size;
+  }
+  if (resource.count !== undefined) {
+    return resource.count * QUERY_SIZE;
+  }
+  return 0;
+}
+
+/**
+ * A live allocation reported by MemoryTracker.allocations
+ * @typedef {Object} MemoryAllocation
+ * @prop {string} label
+ * @prop {string} category
+ * @prop {number} size - Size in bytes.
+ */
+
+/**
+ * Tallies the bytes used by GPUBuffers and GPUQuerySets per category, and keeps a list of every live allocation by
+ * label. Resources are added with track() when they're created and removed with untrack() or destroy(), which makes
+ * it easy to spot anything that survives a scene being torn down.
+ *
+ * MemoryTracker.default is used by the rest of the library when no tracker is given explicitly.
+ */
+export class MemoryTracker {
+  /** @type {MemoryTracker} */
+  static default = new MemoryTracker();
+
+  #allocations = new Map(); // Map of resource to MemoryAllocation
+
+  /**
+   * Starts tracking a resource. Tracking a resource that's already tracked updates its category, size and label.
+   * @param {GPUBuffer | GPUQuerySet} resource
+   * @param {string} [category='other'] - One of MemoryCategory.
+   * @param {Object} [options]
+   * @param {string} [options.label] - Defaults to the resource's label.
+   * @param {number} [options.size] - Size in bytes. Defaults to the buffer size, or 8 bytes per query.
+   * @returns {GPUBuffer | GPUQuerySet} The resource, to allow wrapping a createBuffer() call.
+   */
+  track(resource, category = MemoryCategory.other, options = {}) {
+    if (!MemoryCategory[category]) {
+      throw new Error(`Unknown memory category "${category}".`);
+    }
+    this.#allocations.set(resource, {
+      label: options.label ?? resource.label ?? '',
+      category,
+      size: options.size ?? getResourceSize(resource),
+    });
+    return resource;
+  }
+
+  /**
+   * Stops tracking a resource without destroying it. Does nothing if the resource isn't tracked.
+   * @param {GPUBuffer | GPUQuerySet} resource
+   */
+  untrack(resource) {
+    this.#allocations.delete(resource);
+  }
+
+  /**
+   * Stops tracking a resource and destroys it.
+   * @param {GPUBuffer | GPUQuerySet} resource
+   */
+  destroy(resource) {
+    this.#allocations.delete(resource);
+    resource.destroy();
+  }
+
+  /**
+   * Creates a GPUBuffer and tracks it under the given category.
+   * @param {GPUDevice} device
+   * @param {GPUBufferDescriptor} descriptor
+   * @param {string} [category='other']
+   * @returns {GPUBuffer}
+   */
+  createBuffer(device, descriptor, category) {
+    return this.track(device.createBuffer(descriptor), category);
+  }
+
+  /**
+   * Returns true if the resource is currently tracked.
+   * @param {GPUBuffer | GPUQuerySet} resource
+   */
+  has(resource) {
+    return this.#allocations.has(resource);
+  }
+
+  /**
+   * Bytes currently tracked in each category, plus the total across all of them.
+   * @returns {Object<string, number>}
+   */
+  get totals() {
+    const totals = { total: 0 };
+    for (const category of Object.values(MemoryCategory)) {
+      totals[category] = 0;
+    }
+    for (const allocation of this.#allocations.values()) {
+      totals[allocation.category] += allocation.size;
+      totals.total += allocation.size;
+    }
+    return totals;
+  }
+
+  /**
+   * Every live allocation, largest first.
+   * @returns {MemoryAllocation[]}
+   */
+  get allocations() {
+    return Array.from(this.#allocations.values(), (allocation) => ({ ...allocation }))
+      .sort((a, b) => b.size - a.size);
+  }
+}
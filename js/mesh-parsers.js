@@ -0,0 +1,523 @@
+// Parsers for common mesh file formats. Each produces GeometryDescriptors in the same form as the procedural ones in
+// shapes.js: the attributes interleaved in a single Float32Array, and Uint16Array or Uint32Array indices.
+
+const STL_HEADER_SIZE = 84;
+const STL_TRIANGLE_SIZE = 50;
+
+// Attributes in the order they're interleaved, with the number of floats each uses.
+const InterleavedAttributes = [
+  ['position', 3],
+  ['normal', 3],
+  ['texcoord0', 2],
+  ['color', 4],
+];
+
+function toText(data) {
+  if (typeof data == 'string') {
+    return data;
+  }
+  return new TextDecoder().decode(data);
+}
+
+function toDataView(data) {
+  if (data instanceof ArrayBuffer) {
+    return new DataView(data);
+  } else if (ArrayBuffer.isView(data)) {
+    return new DataView(data.buffer, data.byteOffset, data.byteLength);
+  }
+  throw new Error('Binary mesh data must be an ArrayBuffer or TypedArray');
+}
+
+function createIndexArray(indices, vertexCount) {
+  // 0xFFFF is reserved for primitive restart, so uint16 indices can only address vertices below it.
+  return vertexCount < 0xFFFF ? new Uint16Array(indices) : new Uint32Array(indices);
+}
+
+/**
+ * Accumulates welded vertices and builds a GeometryDescriptor from them. Vertices with identical values for every
+ * attribute share an index.
+ */
+class InterleavedMeshBuilder {
+  #attributes;
+  #stride;
+  #vertices = [];
+  #vertexIndices = new Map(); // Map of vertex key to index.
+  indices = [];
+
+  /**
+   * @param {Object<string, boolean>} attributes - Which of position, normal, texcoord0, and color every vertex has.
+   */
+  constructor(attributes) {
+    this.#attributes = InterleavedAttributes.filter(([name]) => attributes[name]);
+    this.#stride = this.#attributes.reduce((sum, [, size]) => sum + size, 0);
+  }
+
+  get vertexCount() {
+    return this.#vertices.length / this.#stride;
+  }
+
+  /**
+   * Adds a vertex, if an identical one hasn't been added already, and returns its index.
+   * @param {Object<string, ArrayLike<number>>} vertex
+   * @param {string} [key] - Identifies the vertex, if the caller has a cheaper key than its values.
+   * @returns {number}
+   */
+  addVertex(vertex, key) {
+    if (key === undefined) {
+      key = '';
+      for (const [name, size] of this.#attributes) {
+        for (let i = 0; i < size; ++i) {
+          key += vertex[name][i] + ',';
+        }
+      }
+    }
+    let index = this.#vertexIndices.get(key);
+    if (index === undefined) {
+      index = this.vertexCount;
+      this.#vertexIndices.set(key, index);
+      for (const [name, size] of this.#attributes) {
+        for (let i = 0; i < size; ++i) {
+          this.#vertices.push(vertex[name][i]);
+        }
+      }
+    }
+    return index;
+  }
+
+  // Adds a polygon of vertex indices as a triangle fan.
+  addPolygon(polygon) {
+    for (let i = 2; i < polygon.length; ++i) {
+      this.indices.push(polygon[0], polygon[i - 1], polygon[i]);
+    }
+  }
+
+  /**
+   * @param {string} label
+   * @returns {GeometryDescriptor}
+   */
+  build(label) {
+    const values = new Float32Array(this.#vertices);
+    const stride = this.#stride * Float32Array.BYTES_PER_ELEMENT;
+    const desc = { label };
+    let offset = 0;
+    for (const [name, size] of this.#attributes) {
+      desc[name] = offset ? { values, stride, offset } : { values, stride };
+      offset += size * Float32Array.BYTES_PER_ELEMENT;
+    }
+    desc.indices = createIndexArray(this.indices, this.vertexCount);
+    return desc;
+  }
+}
+
+/**
+ * Parses a Wavefront OBJ file. A descriptor is returned for each group or object in the file, split further wherever
+ * the material changes, so that each one can be drawn with a single material. OBJ gives positions, normals, and texture
+ * coordinates separate indices, so each unique combination of them used by a face becomes a vertex. Polygons are
+ * triangulated as fans.
+ * @param {string | ArrayBuffer} data
+ * @param {Object} [options]
+ * @param {string} [options.label='OBJ'] - Label used for geometry outside of any named group.
+ * @returns {(GeometryDescriptor & { material?: string })[]}
+ */
+export function parseObj(data, options = {}) {
+  const text = toText(data);
+  const positions = [];
+  const normals = [];
+  const texcoords = [];
+
+  // Faces are collected per part before building, since whether a part has normals or texture coordinates isn't known
+  // until all of its faces have been read.
+  const parts = [];
+  let groupName = options.label ?? 'OBJ';
+  let material;
+  let part = null;
+
+  const getPart = () => {
+    if (!part) {
+      part = { groupName, material, faces: [], hasNormals: true, hasTexcoords: true };
+      parts.push(part);
+    }
+    return part;
+  };
+
+  // Resolves a 1-based, or negative relative, OBJ index into a 0-based one.
+  const resolveIndex = (value, count, lineNumber) => {
+    const index = parseInt(value, 10);
+    const resolved = index < 0 ? count + index : index - 1;
+    if (!Number.isInteger(index) || index == 0 || resolved < 0 || resolved >= count) {
+      throw new Error(`OBJ line ${lineNumber}: invalid index ${value}`);
+    }
+    return resolved;
+  };
+
+  const lines = text.split(/\r?\n/);
+  for (let l = 0; l < lines.length; ++l) {
+    // Lines ending in a backslash continue on the next line.
+    let line = lines[l];
+    const lineNumber = l + 1;
+    while (line.endsWith('\\') && l + 1 < lines.length) {
+      line = line.slice(0, -1) + ' ' + lines[++l];
+    }
+    const commentStart = line.indexOf('#');
+    if (commentStart >= 0) {
+      line = line.slice(0, commentStart);
+    }
+    const tokens = line.trim().split(/\s+/);
+    const keyword = tokens[0];
+
+    switch (keyword) {
+      case 'v':
+        positions.push([parseFloat(tokens[1]), parseFloat(tokens[2]), parseFloat(tokens[3])]);
+        break;
+      case 'vn':
+        normals.push([parseFloat(tokens[1]), parseFloat(tokens[2]), parseFloat(tokens[3])]);
+        break;
+      case 'vt':
+        // OBJ texture coordinates have their origin at the bottom left, while WebGPU's is at the top left.
+        texcoords.push([parseFloat(tokens[1]), 1 - parseFloat(tokens[2] ?? 0)]);
+        break;
+      case 'f': {
+        if (tokens.length < 4) {
+          throw new Error(`OBJ line ${lineNumber}: faces need at least 3 vertices`);
+        }
+        const target = getPart();
+        const face = tokens.slice(1).map((token) => {
+          const [v, vt, vn] = token.split('/');
+          const corner = [resolveIndex(v, positions.length, lineNumber), -1, -1];
+          if (vt) {
+            corner[1] = resolveIndex(vt, texcoords.length, lineNumber);
+          } else {
+            target.hasTexcoords = false;
+          }
+          if (vn) {
+            corner[2] = resolveIndex(vn, normals.length, lineNumber);
+          } else {
+            target.hasNormals = false;
+          }
+          return corner;
+        });
+        target.faces.push(face);
+        break;
+      }
+      case 'g':
+      case 'o':
+        groupName = tokens.slice(1).join(' ') || groupName;
+        part = null;
+        break;
+      case 'usemtl':
+        material = tokens.slice(1).join(' ');
+        part = null;
+        break;
+      // Everything else, like lines, smoothing groups, and material libraries, doesn't affect the triangles.
+    }
+  }
+
+  const descs = [];
+  for (const { groupName, material, faces, hasNormals, hasTexcoords } of parts) {
+    if (!faces.length) { continue; }
+
+    const builder = new InterleavedMeshBuilder({ position: true, normal: hasNormals, texcoord0: hasTexcoords });
+    const vertex = {};
+    for (const face of faces) {
+      builder.addPolygon(face.map(([v, vt, vn]) => {
+        vertex.position = positions[v];
+        vertex.normal = normals[vn];
+        vertex.texcoord0 = texcoords[vt];
+        return builder.addVertex(vertex, `${v}/${hasTexcoords ? vt : ''}/${hasNormals ? vn : ''}`);
+      }));
+    }
+
+    const label = material !== undefined ? `${groupName} (${material})` : groupName;
+    const desc = builder.build(label);
+    if (material !== undefined) {
+      desc.material = material;
+    }
+    descs.push(desc);
+  }
+  return descs;
+}
+
+// Facet normal of a triangle, for STL files that leave them as zero.
+function computeFacetNormal(a, b, c) {
+  const ux = b[0] - a[0], uy = b[1] - a[1], uz = b[2] - a[2];
+  const vx = c[0] - a[0], vy = c[1] - a[1], vz = c[2] - a[2];
+  const n = [uy * vz - uz * vy, uz * vx - ux * vz, ux * vy - uy * vx];
+  const length = Math.hypot(n[0], n[1], n[2]);
+  return length > 0 ? [n[0] / length, n[1] / length, n[2] / length] : n;
+}
+
+function addStlTriangle(builder, normal, a, b, c) {
+  if (normal[0] == 0 && normal[1] == 0 && normal[2] == 0) {
+    normal = computeFacetNormal(a, b, c);
+  }
+  builder.indices.push(
+    builder.addVertex({ position: a, normal }),
+    builder.addVertex({ position: b, normal }),
+    builder.addVertex({ position: c, normal }));
+}
+
+/**
+ * Parses an ASCII or binary STL file. STL stores each triangle separately with a facet normal, so vertices of
+ * triangles that share both a position and a normal are welded.
+ * @param {string | ArrayBuffer} data
+ * @param {Object} [options]
+ * @param {string} [options.label] - Defaults to the solid's name, or 'STL'.
+ * @returns {GeometryDescriptor}
+ */
+export function parseStl(data, options = {}) {
+  const builder = new InterleavedMeshBuilder({ position: true, normal: true });
+
+  // Binary files may also begin with "solid", so they're identified by their size matching the triangle count.
+  if (typeof data != 'string') {
+    const dataView = toDataView(data);
+    if (dataView.byteLength >= STL_HEADER_SIZE &&
+        dataView.byteLength == STL_HEADER_SIZE + dataView.getUint32(80, true) * STL_TRIANGLE_SIZE) {
+      const triangleCount = dataView.getUint32(80, true);
+      const readVec3 = (offset) => [
+        dataView.getFloat32(offset, true),
+        dataView.getFloat32(offset + 4, true),
+        dataView.getFloat32(offset + 8, true)];
+      for (let t = 0; t < triangleCount; ++t) {
+        const offset = STL_HEADER_SIZE + t * STL_TRIANGLE_SIZE;
+        addStlTriangle(builder, readVec3(offset), readVec3(offset + 12), readVec3(offset + 24), readVec3(offset + 36));
+      }
+      return builder.build(options.label ?? 'STL');
+    }
+  }
+
+  const text = toText(data);
+  const solid = text.match(/^\s*solid[ \t]*([^\r\n]*)/);
+  if (!solid) {
+    throw new Error('STL data is neither a valid binary file nor begins with "solid"');
+  }
+
+  const facetPattern = /facet\s+normal\s+(\S+)\s+(\S+)\s+(\S+)\s+outer\s+loop\s+vertex\s+(\S+)\s+(\S+)\s+(\S+)\s+vertex\s+(\S+)\s+(\S+)\s+(\S+)\s+vertex\s+(\S+)\s+(\S+)\s+(\S+)\s+endloop\s+endfacet/g;
+  for (const match of text.matchAll(facetPattern)) {
+    const v = match.slice(1).map(parseFloat);
+    if (v.some(Number.isNaN)) {
+      throw new Error(`Invalid number in STL facet "${match[0].replace(/\s+/g, ' ')}"`);
+    }
+    addStlTriangle(builder, v.slice(0, 3), v.slice(3, 6), v.slice(6, 9), v.slice(9, 12));
+  }
+
+  return builder.build(options.label ?? (solid[1].trim() || 'STL'));
+}
+
+const PlyTypes = {
+  char: ['getInt8', 1], int8: ['getInt8', 1],
+  uchar: ['getUint8', 1], uint8: ['getUint8', 1],
+  short: ['getInt16', 2], int16: ['getInt16', 2],
+  ushort: ['getUint16', 2], uint16: ['getUint16', 2],
+  int: ['getInt32', 4], int32: ['getInt32', 4],
+  uint: ['getUint32', 4], uint32: ['getUint32', 4],
+  float: ['getFloat32', 4], float32: ['getFloat32', 4],
+  double: ['getFloat64', 8], float64: ['getFloat64', 8],
+};
+
+// Property names used for each vertex attribute component by common exporters.
+const PlyVertexProperties = {
+  position: [['x'], ['y'], ['z']],
+  normal: [['nx'], ['ny'], ['nz']],
+  texcoord0: [['u', 's', 'texture_u', 'texture_s'], ['v', 't', 'texture_v', 'texture_t']],
+  color: [['red', 'r'], ['green', 'g'], ['blue', 'b'], ['alpha', 'a']],
+};
+
+// Reads the header of a PLY file, and returns the elements it describes along with where the body begins.
+function parsePlyHeader(bytes) {
+  // The header is always ASCII, and ends with an end_header line.
+  const headerEnd = /end_header[ \t]*\r?\n/.exec(new TextDecoder('latin1').decode(bytes.subarray(0, Math.min(bytes.length, 65536))));
+  if (!headerEnd) {
+    throw new Error('PLY header is missing end_header');
+  }
+  const headerText = new TextDecoder().decode(bytes.subarray(0, headerEnd.index));
+  const lines = headerText.split(/\r?\n/).map((line) => line.trim().split(/\s+/));
+  if (lines[0][0] != 'ply') {
+    throw new Error('PLY data must begin with "ply"');
+  }
+
+  let format = null;
+  const elements = [];
+  for (const tokens of lines.slice(1)) {
+    switch (tokens[0]) {
+      case 'format':
+        format = tokens[1];
+        if (!['ascii', 'binary_little_endian', 'binary_big_endian'].includes(format)) {
+          throw new Error(`Unsupported PLY format ${format}`);
+        }
+        break;
+      case 'element':
+        elements.push({ name: tokens[1], count: parseInt(tokens[2], 10), properties: [] });
+        break;
+      case 'property': {
+        const element = elements[elements.length - 1];
+        if (!element) {
+          throw new Error('PLY property given before any element');
+        }
+        const property = tokens[1] == 'list' ?
+          { name: tokens[4], countType: tokens[2], type: tokens[3] } :
+          { name: tokens[2], type: tokens[1] };
+        for (const type of [property.type, property.countType]) {
+          if (type !== undefined && !PlyTypes[type]) {
+            throw new Error(`Unknown PLY property type ${type}`);
+          }
+        }
+        element.properties.push(property);
+        break;
+      }
+      // comment and obj_info lines are ignored.
+    }
+  }
+  if (!format) {
+    throw new Error('PLY header is missing its format');
+  }
+
+  return { format, elements, bodyOffset: headerEnd.index + headerEnd[0].length };
+}
+
+// Reads the values of every element in a PLY body. Each element becomes an object of property name to either a
+// Float64Array of values or, for list properties, an array of arrays.
+function readPlyElements(bytes, format, elements, bodyOffset) {
+  let readScalar;
+  if (format == 'ascii') {
+    const tokens = new TextDecoder().decode(bytes.subarray(bodyOffset)).trim().split(/\s+/);
+    let next = 0;
+    readScalar = () => {
+      if (next >= tokens.length) {
+        throw new Error('PLY body ends early');
+      }
+      return parseFloat(tokens[next++]);
+    };
+  } else {
+    const dataView = toDataView(bytes);
+    const littleEndian = format == 'binary_little_endian';
+    let offset = bodyOffset;
+    readScalar = (type) => {
+      const [method, size] = PlyTypes[type];
+      if (offset + size > dataView.byteLength) {
+        throw new Error('PLY body ends early');
+      }
+      const value = dataView[method](offset, littleEndian);
+      offset += size;
+      return value;
+    };
+  }
+
+  const values = {};
+  for (const element of elements) {
+    const properties = {};
+    for (const property of element.properties) {
+      properties[property.name] = property.countType ? new Array(element.count) : new Float64Array(element.count);
+    }
+    for (let i = 0; i < element.count; ++i) {
+      for (const property of element.properties) {
+        if (property.countType) {
+          const count = readScalar(property.countType);
+          const list = new Array(count);
+          for (let j = 0; j < count; ++j) {
+            list[j] = readScalar(property.type);
+          }
+          properties[property.name][i] = list;
+        } else {
+          properties[property.name][i] = readScalar(property.type);
+        }
+      }
+    }
+    values[element.name] = { properties, types: Object.fromEntries(element.properties.map((p) => [p.name, p.type])) };
+  }
+  return values;
+}
+
+/**
+ * Parses an ASCII, binary little endian, or binary big endian PLY file. Vertices may have positions, normals, texture
+ * coordinates, and colors, and faces are triangulated as fans. Texture coordinates are flipped vertically into
+ * WebGPU's top left origin, as parseObj() does. Files without faces are returned as point lists.
+ * @param {string | ArrayBuffer} data
+ * @param {Object} [options]
+ * @param {string} [options.label='PLY']
+ * @returns {GeometryDescriptor}
+ */
+export function parsePly(data, options = {}) {
+  let bytes;
+  if (typeof data == 'string') {
+    bytes = new TextEncoder().encode(data);
+  } else {
+    const dataView = toDataView(data);
+    bytes = new Uint8Array(dataView.buffer, dataView.byteOffset, dataView.byteLength);
+  }
+  const { format, elements, bodyOffset } = parsePlyHeader(bytes);
+  const values = readPlyElements(bytes, format, elements, bodyOffset);
+
+  const vertexElement = values.vertex;
+  if (!vertexElement) {
+    throw new Error('PLY file has no vertex element');
+  }
+  const vertexCount = elements.find((element) => element.name == 'vertex').count;
+
+  // Find which property supplies each component of each attribute. An attribute is only used if every component is
+  // present, except for color's alpha which defaults to 1.
+  const attributeSources = {};
+  for (const [name, components] of Object.entries(PlyVertexProperties)) {
+    const sources = components.map((aliases) => aliases.find((alias) => vertexElement.properties[alias]));
+    const required = name == 'color' ? sources.slice(0, 3) : sources;
+    if (required.every((source) => source !== undefined)) {
+      attributeSources[name] = sources;
+    }
+  }
+  if (!attributeSources.position) {
+    throw new Error('PLY vertices must have x, y, and z properties');
+  }
+
+  const builder = new InterleavedMeshBuilder({
+    position: true,
+    normal: !!attributeSources.normal,
+    texcoord0: !!attributeSources.texcoord0,
+    color: !!attributeSources.color,
+  });
+
+  // Integer colors are normalized by the maximum value of their type.
+  const ColorScale = { uchar: 255, uint8: 255, ushort: 65535, uint16: 65535 };
+  const vertex = {};
+  for (const name of Object.keys(attributeSources)) {
+    vertex[name] = [];
+  }
+  for (let v = 0; v < vertexCount; ++v) {
+    for (const [name, sources] of Object.entries(attributeSources)) {
+      for (let j = 0; j < sources.length; ++j) {
+        const source = sources[j];
+        if (source === undefined) {
+          vertex[name][j] = 1;
+          continue;
+        }
+        let value = vertexElement.properties[source][v];
+        if (name == 'color') {
+          value /= ColorScale[vertexElement.types[source]] ?? 1;
+        } else if (name == 'texcoord0' && j == 1) {
+          // Like OBJ, PLY texture coordinates have their origin at the bottom left.
+          value = 1 - value;
+        }
+        vertex[name][j] = value;
+      }
+    }
+    // Every PLY vertex is kept so that face indices stay valid, so the key is just its index.
+    builder.addVertex(vertex, v);
+  }
+
+  const faces = values.face?.properties.vertex_indices ?? values.face?.properties.vertex_index;
+  const label = options.label ?? 'PLY';
+  if (!faces) {
+    const desc = builder.build(label);
+    delete desc.indices;
+    desc.topology = 'point-list';
+    return desc;
+  }
+
+  for (const face of faces) {
+    for (const index of face) {
+      if (index < 0 || index >= vertexCount) {
+        throw new Error(`PLY face references vertex ${index}, but there are only ${vertexCount}`);
+      }
+    }
+    builder.addPolygon(face);
+  }
+  return builder.build(label);
+}
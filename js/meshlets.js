@@ -0,0 +1,427 @@
+// Splits indexed triangle lists into small clusters of triangles (meshlets) which can be culled individually on the
+// GPU. The builder is a pure function of its inputs so that the same mesh always produces the same meshlets.
+
+import { DRAW_INDEXED_INDIRECT_SIZE, DRAW_INDEXED_INDIRECT_STRUCT } from './indirect-args.js';
+
+export const DEFAULT_MESHLET_MAX_VERTICES = 64;
+export const DEFAULT_MESHLET_MAX_TRIANGLES = 124;
+
+/** Number of 32 bit words used by each meshlet in packMeshlets() */
+export const MESHLET_ELEMENT_LENGTH = 12;
+
+/** WGSL struct matching the layout of the meshlets written by packMeshlets() */
+export const MESHLET_STRUCT = `
+  struct Meshlet {
+    center: vec3f,
+    radius: f32,
+    coneAxis: vec3f,
+    coneCutoff: f32,
+    firstIndex: u32,
+    indexCount: u32,
+  }
+`;
+
+/** Byte size of the ClusterCullInput read by the cluster culling shader */
+export const CLUSTER_CULL_INPUT_SIZE = 20;
+
+/**
+ * Byte offset of visibleInstanceCount in ClusterCullInput, so that it can be copied in from the output of instance
+ * culling.
+ */
+export const CLUSTER_VISIBLE_INSTANCE_COUNT_OFFSET = 16;
+
+/**
+ * A cluster of triangles from a Geometry along with the bounds used to cull it
+ * @typedef {Object} Meshlet
+ * @prop {number} firstIndex - Offset of the meshlet's first index, relative to the start of the Geometry's indices.
+ * @prop {number} indexCount
+ * @prop {number} vertexCount - Number of unique vertices the meshlet's triangles reference.
+ * @prop {number[]} center - Center of the meshlet's bounding sphere.
+ * @prop {number} radius
+ * @prop {number[]} coneAxis - Average facing direction of the meshlet's triangles.
+ * @prop {number} coneCutoff - Sine of the angle between the cone axis and the triangle that faces furthest from it.
+ *   The meshlet can only be backface culled if this is less than 1.
+ */
+
+/**
+ * Limits on the size of each meshlet
+ * @typedef {Object} MeshletOptions
+ * @prop {number} [maxVertices=64]
+ * @prop {number} [maxTriangles=124]
+ */
+
+function subtract(a, b) {
+  return [a[0] - b[0], a[1] - b[1], a[2] - b[2]];
+}
+
+function cross(a, b) {
+  return [a[1] * b[2] - a[2] * b[1], a[2] * b[0] - a[0] * b[2], a[0] * b[1] - a[1] * b[0]];
+}
+
+function dot(a, b) {
+  return a[0] * b[0] + a[1] * b[1] + a[2] * b[2];
+}
+
+function getPosition(positions, vertex) {
+  return [positions[vertex * 3], positions[vertex * 3 + 1], positions[vertex * 3 + 2]];
+}
+
+// Computes the bounding sphere and normal cone of a range of triangles.
+function computeMeshletBounds(indices, firstIndex, indexCount, vertices, positions) {
+  const min = [Infinity, Infinity, Infinity];
+  const max = [-Infinity, -Infinity, -Infinity];
+  for (const vertex of vertices) {
+    const p = getPosition(positions, vertex);
+    for (let i = 0; i < 3; ++i) {
+      min[i] = Math.min(min[i], p[i]);
+      max[i] = Math.max(max[i], p[i]);
+    }
+  }
+  const center = [(min[0] + max[0]) * 0.5, (min[1] + max[1]) * 0.5, (min[2] + max[2]) * 0.5];
+  let radiusSq = 0;
+  for (const vertex of vertices) {
+    const offset = subtract(getPosition(positions, vertex), center);
+    radiusSq = Math.max(radiusSq, dot(offset, offset));
+  }
+
+  // The cone axis is the average of the triangle normals, and the cutoff is determined by the normal that diverges
+  // furthest from it. Zero area triangles don't face any direction, so they're ignored.
+  const normals = [];
+  const axis = [0, 0, 0];
+  for (let i = firstIndex; i < firstIndex + indexCount; i += 3) {
+    const a = getPosition(positions, indices[i]);
+    const n = cross(subtract(getPosition(positions, indices[i + 1]), a), subtract(getPosition(positions, indices[i + 2]), a));
+    const length = Math.hypot(n[0], n[1], n[2]);
+    if (length == 0) { continue; }
+    const normal = [n[0] / length, n[1] / length, n[2] / length];
+    normals.push(normal);
+    for (let j = 0; j < 3; ++j) { axis[j] += normal[j]; }
+  }
+
+  let coneCutoff = 1;
+  const axisLength = Math.hypot(axis[0], axis[1], axis[2]);
+  if (axisLength > 0) {
+    for (let j = 0; j < 3; ++j) { axis[j] /= axisLength; }
+    let minDot = 1;
+    for (const normal of normals) {
+      minDot = Math.min(minDot, dot(axis, normal));
+    }
+    // If any triangle faces 90 degrees or more away from the axis then some part of the meshlet is always visible.
+    if (minDot > 0) {
+      coneCutoff = Math.sqrt(1 - minDot * minDot);
+    }
+  }
+
+  return { center, radius: Math.sqrt(radiusSq), coneAxis: axis, coneCutoff };
+}
+
+/**
+ * Splits a triangle list into meshlets. Triangles are added to each meshlet greedily, always choosing the remaining
+ * triangle connected to the meshlet that adds the fewest new vertices, which keeps meshlets spatially compact. Ties
+ * are broken by the triangle's original order, so the result is deterministic.
+ * @param {Uint16Array | Uint32Array | number[]} indices - Triangle list indices.
+ * @param {Float32Array} positions - Tightly packed xyz positions for every vertex.
+ * @param {number} vertexCount
+ * @param {MeshletOptions} [options]
+ * @returns {{ meshlets: Meshlet[], indices: Uint32Array }} - The meshlets and the indices reordered so that every
+ *   meshlet's triangles are contiguous.
+ */
+export function buildMeshlets(indices, positions, vertexCount, options = {}) {
+  const maxVertices = options.maxVertices ?? DEFAULT_MESHLET_MAX_VERTICES;
+  const maxTriangles = options.maxTriangles ?? DEFAULT_MESHLET_MAX_TRIANGLES;
+  if (maxVertices < 3 || maxTriangles < 1) {
+    throw new Error(`Meshlets must allow at least 3 vertices and 1 triangle, not ${maxVertices} and ${maxTriangles}.`);
+  }
+
+  const triangleCount = Math.floor(indices.length / 3);
+
+  // Build the list of triangles that use each vertex.
+  const triangleOffsets = new Uint32Array(vertexCount + 1);
+  for (let i = 0; i < triangleCount * 3; ++i) {
+    triangleOffsets[indices[i] + 1]++;
+  }
+  for (let v = 0; v < vertexCount; ++v) {
+    triangleOffsets[v + 1] += triangleOffsets[v];
+  }
+  const vertexTriangles = new Uint32Array(triangleCount * 3);
+  const fill = triangleOffsets.slice(0, vertexCount);
+  for (let i = 0; i < triangleCount * 3; ++i) {
+    vertexTriangles[fill[indices[i]]++] = Math.floor(i / 3);
+  }
+
+  const assigned = new Uint8Array(triangleCount);
+  // ID of the meshlet that each vertex was last added to, so membership checks don't need to be cleared.
+  const vertexMeshlet = new Int32Array(vertexCount).fill(-1);
+  const outIndices = new Uint32Array(triangleCount * 3);
+  const meshlets = [];
+  let outTriangle = 0;
+  let seedCursor = 0;
+
+  const countNewVertices = (t, meshletId) => {
+    let count = 0;
+    for (let i = 0; i < 3; ++i) {
+      const vertex = indices[t * 3 + i];
+      // Don't double count a vertex that's repeated within the triangle.
+      if (vertexMeshlet[vertex] != meshletId && (i == 0 || vertex != indices[t * 3]) && (i < 2 || vertex != indices[t * 3 + 1])) {
+        count++;
+      }
+    }
+    return count;
+  };
+
+  while (outTriangle < triangleCount) {
+    while (assigned[seedCursor]) { seedCursor++; }
+
+    const meshletId = meshlets.length;
+    const firstTriangle = outTriangle;
+    const vertices = [];
+
+    const addTriangle = (t) => {
+      assigned[t] = 1;
+      for (let i = 0; i < 3; ++i) {
+        const vertex = indices[t * 3 + i];
+        outIndices[outTriangle * 3 + i] = vertex;
+        if (vertexMeshlet[vertex] != meshletId) {
+          vertexMeshlet[vertex] = meshletId;
+          vertices.push(vertex);
+        }
+      }
+      outTriangle++;
+    };
+
+    addTriangle(seedCursor);
+
+    while (outTriangle - firstTriangle < maxTriangles) {
+      let bestTriangle = -1;
+      let bestNewVertices = 4;
+      for (const vertex of vertices) {
+        for (let i = triangleOffsets[vertex]; i < triangleOffsets[vertex + 1]; ++i) {
+          const t = vertexTriangles[i];
+          if (assigned[t]) { continue; }
+          const newVertices = countNewVertices(t, meshletId);
+          if (newVertices < bestNewVertices || (newVertices == bestNewVertices && t < bestTriangle)) {
+            bestTriangle = t;
+            bestNewVertices = newVertices;
+          }
+        }
+      }
+
+      // Close the meshlet when nothing connected to it fits, rather than adding a disconnected triangle that would
+      // make its bounds less useful for culling.
+      if (bestTriangle < 0 || vertices.length + bestNewVertices > maxVertices) {
+        break;
+      }
+      addTriangle(bestTriangle);
+    }
+
+    const firstIndex = firstTriangle * 3;
+    const indexCount = (outTriangle - firstTriangle) * 3;
+    meshlets.push({
+      firstIndex,
+      indexCount,
+      vertexCount: vertices.length,
+      ...computeMeshletBounds(outIndices, firstIndex, indexCount, vertices, positions),
+    });
+  }
+
+  return { meshlets, indices: outIndices };
+}
+
+/**
+ * Packs the meshlets of every given Geometry into a buffer which matches an array<Meshlet> in WGSL. The firstIndex of
+ * each packed meshlet includes the Geometry's offset into the batch index buffer, so it can be used directly as the
+ * firstIndex of a draw.
+ * @param {Geometry[]} geometries - Geometry built with the meshlets option.
+ * @returns {{ data: ArrayBuffer, ranges: { firstMeshlet: number, meshletCount: number }[] }} - The packed meshlets,
+ *   and the range of meshlets that belongs to each Geometry, in the same order as the geometries.
+ */
+export function packMeshlets(geometries) {
+  let meshletCount = 0;
+  const ranges = geometries.map((geometry) => {
+    if (!geometry.meshlets) {
+      throw new Error('Geometry was not built with meshlets.');
+    }
+    const range = { firstMeshlet: meshletCount, meshletCount: geometry.meshlets.length };
+    meshletCount += geometry.meshlets.length;
+    return range;
+  });
+
+  const data = new ArrayBuffer(meshletCount * MESHLET_ELEMENT_LENGTH * 4);
+  const floatArray = new Float32Array(data);
+  const uintArray = new Uint32Array(data);
+  for (let g = 0; g < geometries.length; ++g) {
+    const geometry = geometries[g];
+    const baseIndex = geometry.indexBinding.firstIndex ?? 0;
+    for (let m = 0; m < geometry.meshlets.length; ++m) {
+      const meshlet = geometry.meshlets[m];
+      const offset = (ranges[g].firstMeshlet + m) * MESHLET_ELEMENT_LENGTH;
+      floatArray.set(meshlet.center, offset);
+      floatArray[offset + 3] = meshlet.radius;
+      floatArray.set(meshlet.coneAxis, offset + 4);
+      floatArray[offset + 7] = meshlet.coneCutoff;
+      uintArray[offset + 8] = baseIndex + meshlet.firstIndex;
+      uintArray[offset + 9] = meshlet.indexCount;
+    }
+  }
+
+  return { data, ranges };
+}
+
+/**
+ * Returns a compute shader which culls the meshlets of every visible instance of a Geometry against the view frustum
+ * and by their normal cones. Rather than a draw for every meshlet of every instance, it writes one drawIndexedIndirect
+ * call for each meshlet, which draws every instance that the meshlet survived culling in. The draw for meshlet i uses
+ * i * maxInstances as its firstInstance, so the device needs the 'indirect-first-instance' feature, and the vertex
+ * shader finds its instance with meshletInstances[instance_index].
+ *
+ * The draws aren't compacted. Every meshlet keeps its own slot, and meshlets that didn't survive culling in any
+ * instance get an instanceCount of 0. WebGPU can't issue a number of indirect draws decided on the GPU, so
+ * drawCulledMeshlets() always issues one draw per meshlet, whatever survived culling.
+ *
+ * Bindings:
+ *  - group(0) binding(0): The camera uniforms, in the layout given by options.cameraStruct.
+ *  - group(1) binding(0): array<mat4x4f> of instance transforms.
+ *  - group(1) binding(1): ClusterCullInput, with the following u32 members: firstMeshlet and meshletCount, the range of
+ *    the Geometry's meshlets; maxInstances, the most instances that can be visible at once; firstVisibleInstance, the
+ *    index in visibleInstances of the first visible instance; and visibleInstanceCount, which can be copied in from
+ *    the output of instance culling at CLUSTER_VISIBLE_INSTANCE_COUNT_OFFSET.
+ *  - group(1) binding(2): array<u32> of visible instance indices, such as the output of instance culling.
+ *  - group(1) binding(3): array<Meshlet> written by packMeshlets().
+ *  - group(1) binding(4): array<atomic<u32>> counting the visible instances of each meshlet. It must be zero when
+ *    it's created, and writeDrawsMain resets it for the next frame.
+ *  - group(1) binding(5): array<u32> of the visible instances of each meshlet, maxInstances for each meshlet.
+ *  - group(1) binding(6): array<DrawIndexedIndirectArgs> with a draw for each meshlet.
+ *
+ * Dispatch computeMain with ceil(maxInstances * meshletCount / workgroupSize) workgroups, then writeDrawsMain with
+ * ceil(meshletCount / workgroupSize) workgroups using the same bindings. Finally call drawCulledMeshlets() with the
+ * draws. getClusterCullBufferSizes() gives the size of each buffer. The normal cone test assumes that instance
+ * transforms have uniform scale.
+ * @param {Object} [options]
+ * @param {number} [options.workgroupSize=64]
+ * @param {string} [options.cameraStruct] - WGSL for a CameraUniforms struct with position and frustum members.
+ *   Defaults to the layout used by TinyWebGpuDemo.
+ * @returns {string}
+ */
+export function getClusterCullingShader(options = {}) {
+  const workgroupSize = options.workgroupSize ?? 64;
+  const cameraStruct = options.cameraStruct ?? `
+    struct CameraUniforms {
+      projection: mat4x4f,
+      view: mat4x4f,
+      position: vec3f,
+      time: f32,
+      zRange: vec2f,
+      frustum: array<vec4f, 6>
+    }
+  `;
+
+  return `
+    ${cameraStruct}
+    @group(0) @binding(0) var<uniform> camera: CameraUniforms;
+
+    @group(1) @binding(0) var<storage, read> instances: array<mat4x4f>;
+
+    struct ClusterCullInput {
+      firstMeshlet: u32,
+      meshletCount: u32,
+      maxInstances: u32,
+      firstVisibleInstance: u32,
+      visibleInstanceCount: u32,
+    }
+    @group(1) @binding(1) var<storage, read> input: ClusterCullInput;
+    @group(1) @binding(2) var<storage, read> visibleInstances: array<u32>;
+
+    ${MESHLET_STRUCT}
+    @group(1) @binding(3) var<storage, read> meshlets: array<Meshlet>;
+
+    @group(1) @binding(4) var<storage, read_write> meshletInstanceCounts: array<atomic<u32>>;
+    @group(1) @binding(5) var<storage, read_write> meshletInstances: array<u32>;
+
+    ${DRAW_INDEXED_INDIRECT_STRUCT}
+    @group(1) @binding(6) var<storage, read_write> draws: array<DrawIndexedIndirectArgs>;
+
+    fn isMeshletVisible(meshlet: Meshlet, model: mat4x4f) -> bool {
+      let center = (model * vec4f(meshlet.center, 1)).xyz;
+      let scale = max(max(length(model[0].xyz), length(model[1].xyz)), length(model[2].xyz));
+      let radius = meshlet.radius * scale;
+
+      for (var i = 0; i < 6; i++) {
+        if (dot(camera.frustum[i], vec4f(center, 1)) < -radius) {
+          return false;
+        }
+      }
+
+      // Reject the meshlet if every triangle in it faces away from the camera.
+      if (meshlet.coneCutoff < 1) {
+        let axis = normalize((model * vec4f(meshlet.coneAxis, 0)).xyz);
+        let toCenter = center - camera.position;
+        if (dot(toCenter, axis) >= meshlet.coneCutoff * length(toCenter) + radius) {
+          return false;
+        }
+      }
+      return true;
+    }
+
+    // Culls one meshlet of one visible instance, adding the instance to the meshlet's list if it survives.
+    @compute @workgroup_size(${workgroupSize})
+    fn computeMain(@builtin(global_invocation_id) globalId: vec3u) {
+      let meshletIndex = globalId.x % input.meshletCount;
+      let visibleIndex = globalId.x / input.meshletCount;
+      if (visibleIndex >= min(input.visibleInstanceCount, input.maxInstances)) {
+        return;
+      }
+
+      let instanceIndex = visibleInstances[input.firstVisibleInstance + visibleIndex];
+      let meshlet = meshlets[input.firstMeshlet + meshletIndex];
+      if (!isMeshletVisible(meshlet, instances[instanceIndex])) { return; }
+
+      let slot = atomicAdd(&meshletInstanceCounts[meshletIndex], 1u);
+      meshletInstances[meshletIndex * input.maxInstances + slot] = instanceIndex;
+    }
+
+    // Writes the draw for one meshlet from its list of instances, and resets the list for the next frame. Meshlets
+    // without any visible instances still get a draw, with an instanceCount of 0.
+    @compute @workgroup_size(${workgroupSize})
+    fn writeDrawsMain(@builtin(global_invocation_id) globalId: vec3u) {
+      let meshletIndex = globalId.x;
+      if (meshletIndex >= input.meshletCount) {
+        return;
+      }
+
+      let meshlet = meshlets[input.firstMeshlet + meshletIndex];
+      let instanceCount = atomicExchange(&meshletInstanceCounts[meshletIndex], 0u);
+      draws[meshletIndex] = DrawIndexedIndirectArgs(meshlet.indexCount, instanceCount, meshlet.firstIndex, 0,
+                                                    meshletIndex * input.maxInstances);
+    }
+  `;
+}
+
+/**
+ * Returns the byte sizes of the buffers used to cull the meshlets of a Geometry, by the binding they're used for.
+ * @param {number} meshletCount
+ * @param {number} maxInstances - The most instances that can be visible at once.
+ * @returns {{ input: number, instanceCounts: number, instances: number, draws: number }}
+ */
+export function getClusterCullBufferSizes(meshletCount, maxInstances) {
+  return {
+    input: CLUSTER_CULL_INPUT_SIZE,
+    instanceCounts: meshletCount * Uint32Array.BYTES_PER_ELEMENT,
+    instances: meshletCount * maxInstances * Uint32Array.BYTES_PER_ELEMENT,
+    draws: meshletCount * DRAW_INDEXED_INDIRECT_SIZE,
+  };
+}
+
+/**
+ * Issues the indirect draws written by the cluster culling shader for a Geometry, one for each meshlet. The draws
+ * aren't compacted, so this is meshletCount draws even when most meshlets were culled.
+ * @param {GPURenderPassEncoder | GPURenderBundleEncoder} renderPass
+ * @param {Geometry} geometry
+ * @param {GPUBuffer} drawBuffer - The buffer the culling shader wrote its draws to.
+ * @param {number} meshletCount
+ */
+export function drawCulledMeshlets(renderPass, geometry, drawBuffer, meshletCount) {
+  geometry.setBuffers(renderPass);
+  for (let i = 0; i < meshletCount; ++i) {
+    renderPass.drawIndexedIndirect(drawBuffer, i * DRAW_INDEXED_INDIRECT_SIZE);
+  }
+}
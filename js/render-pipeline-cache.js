@@ -0,0 +1,175 @@
+import { Geometry } from './geometry.js';
+
+/**
+ * Describes how to build the shader and pipeline layout for one variant of a render pipeline. The same
+ * variant can be used with any GeometryLayout, so the shader code is generated per-layout.
+ * @typedef {Object} ShaderVariantDescriptor
+ * @prop {string} [label]
+ * @prop {GPUPipelineLayout | 'auto'} pipelineLayout
+ * @prop {function(GeometryLayout): string} getShaderCode - Returns the WGSL code to use with the given layout.
+ * @prop {string} [vertexEntryPoint='vertexMain']
+ * @prop {string} [fragmentEntryPoint='fragmentMain']
+ */
+
+/**
+ * Render target and depth state that a pipeline will be used with.
+ * @typedef {Object} RenderPassState
+ * @prop {GPUTextureFormat[]} colorFormats
+ * @prop {GPUTextureFormat} [depthStencilFormat]
+ * @prop {boolean} [depthWriteEnabled=true]
+ * @prop {GPUCompareFunction} [depthCompare='less-equal']
+ * @prop {number} [sampleCount=1]
+ */
+
+/**
+ * Creates render pipelines for combinations of GeometryLayout, shader variant, and render pass state and
+ * dedups them, so that any number of drawables which share a layout also share a single pipeline. Pipelines
+ * are created asynchronously, and multiple requests for the same pipeline while it's compiling will all
+ * receive the same promise.
+ */
+export class RenderPipelineCache {
+  device;
+  #layoutCache;
+  #variants = new Map();
+  #shaderModules = new Map(); // Map of layout ID + variant key to shader module
+  #pipelines = new Map(); // Map of pipeline key to pipeline promise
+
+  #hits = 0;
+  #misses = 0;
+  #pending = 0;
+
+  /**
+   * @param {GPUDevice} device
+   * @param {GeometryLayoutCache} [layoutCache] - Cache that layout IDs are looked up in.
+   */
+  constructor(device, layoutCache = Geometry.getLayoutCache()) {
+    this.device = device;
+    this.#layoutCache = layoutCache;
+  }
+
+  /**
+   * Registers a shader variant that pipelines can be requested for.
+   * @param {string} key
+   * @param {ShaderVariantDescriptor} descriptor
+   */
+  registerShaderVariant(key, descriptor) {
+    if (this.#variants.has(key)) {
+      throw new Error(`Shader variant "${key}" has already been registered.`);
+    }
+    this.#variants.set(key, descriptor);
+  }
+
+  /**
+   * Returns a promise that resolves to a render pipeline for the given layout, variant and pass state. The promise is
+   * rejected if the layout or variant is unknown, the variant's shader code can't be generated for the layout, or the
+   * pipeline fails to compile.
+   * @param {number} layoutId - ID of a GeometryLayout from the layout cache.
+   * @param {string} variantKey - Key of a previously registered shader variant.
+   * @param {RenderPassState} passState
+   * @returns {Promise<GPURenderPipeline>}
+   */
+  getRenderPipeline(layoutId, variantKey, passState) {
+    const depthWriteEnabled = passState.depthWriteEnabled ?? true;
+    const depthCompare = passState.depthCompare ?? 'less-equal';
+    const sampleCount = passState.sampleCount ?? 1;
+
+    const key = `${layoutId}|${variantKey}|${passState.colorFormats.join(',')}|` +
+                `${passState.depthStencilFormat ?? ''}|${depthWriteEnabled}|${depthCompare}|${sampleCount}`;
+
+    let pipelinePromise = this.#pipelines.get(key);
+    if (pipelinePromise) {
+      this.#hits++;
+      return pipelinePromise;
+    }
+
+    const layout = this.#layoutCache.getLayout(layoutId);
+    if (!layout) {
+      return Promise.reject(new Error(`No GeometryLayout with ID ${layoutId} in the layout cache.`));
+    }
+
+    const variant = this.#variants.get(variantKey);
+    if (!variant) {
+      return Promise.reject(new Error(`Unknown shader variant "${variantKey}".`));
+    }
+
+    const label = `${variant.label ?? variantKey} (Layout ${layoutId})`;
+    let module;
+    try {
+      module = this.#getShaderModule(layout, variantKey, variant, label);
+    } catch (error) {
+      return Promise.reject(error);
+    }
+
+    let depthStencil;
+    if (passState.depthStencilFormat) {
+      depthStencil = {
+        format: passState.depthStencilFormat,
+        depthWriteEnabled,
+        depthCompare,
+      };
+    }
+
+    this.#misses++;
+    this.#pending++;
+    pipelinePromise = this.device.createRenderPipelineAsync({
+      label,
+      layout: variant.pipelineLayout,
+      vertex: {
+        module,
+        entryPoint: variant.vertexEntryPoint ?? 'vertexMain',
+        buffers: layout.buffers,
+      },
+      primitive: {
+        topology: layout.topology,
+        stripIndexFormat: layout.stripIndexFormat,
+      },
+      fragment: {
+        module,
+        entryPoint: variant.fragmentEntryPoint ?? 'fragmentMain',
+        targets: passState.colorFormats.map((format) => ({ format })),
+      },
+      depthStencil,
+      multisample: {
+        count: sampleCount
+      }
+    }).finally(() => {
+      this.#pending--;
+    });
+
+    // Don't cache failures, so that the pipeline can be requested again.
+    pipelinePromise.catch(() => {
+      this.#pipelines.delete(key);
+    });
+
+    this.#pipelines.set(key, pipelinePromise);
+    return pipelinePromise;
+  }
+
+  #getShaderModule(layout, variantKey, variant, label) {
+    const key = `${layout.id}|${variantKey}`;
+    let module = this.#shaderModules.get(key);
+    if (!module) {
+      module = this.device.createShaderModule({
+        label,
+        code: variant.getShaderCode(layout),
+      });
+      this.#shaderModules.set(key, module);
+    }
+    return module;
+  }
+
+  /** Number of pipeline requests that were satisfied by a previously requested pipeline. */
+  get hits() {
+    return this.#hits;
+  }
+
+  /** Number of pipeline requests that required a new pipeline to be created. */
+  get misses() {
+    return this.#misses;
+  }
+
+  /** Number of pipelines that are still being compiled. */
+  get pending() {
+    return this.#pending;
+  }
+}
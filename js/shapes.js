@@ -1,79 +1,121 @@
 import { Geometry } from "./geometry.js";
 import { vec3 } from 'https://cdn.jsdelivr.net/npm/gl-matrix@3.4.3/esm/index.js';
 
+// Shapes with enough segments can have more vertices than 16 bit indices can address.
+function createIndexArray(indices, vertexCount) {
+  return vertexCount < 0xFFFF ? new Uint16Array(indices) : new Uint32Array(indices);
+}
+
+/**
+ * An indexed box centered on x, y, z. Each face is a grid of widthSegments, heightSegments, or depthSegments quads
+ * along the matching axis, with its own vertices so that normals and UVs are flat per face. Every face is wound
+ * counter-clockwise when viewed from outside and has UVs running from 0 to 1 across it.
+ */
 export class BoxGeometryDesc {
   constructor(options = {}) {
-    const w = (options.width ?? 1) * 0.5;
-    const h = (options.height ?? 1) * 0.5;
-    const d = (options.depth ?? 1) * 0.5;
+    const width = options.width ?? 1;
+    const height = options.height ?? 1;
+    const depth = options.depth ?? 1;
+    const widthSegments = Math.max(1, Math.floor(options.widthSegments ?? 1));
+    const heightSegments = Math.max(1, Math.floor(options.heightSegments ?? 1));
+    const depthSegments = Math.max(1, Math.floor(options.depthSegments ?? 1));
 
-    const x = options.x ?? 0;
-    const y = options.y ?? 0;
-    const z = options.z ?? 0;
+    const offset = [options.x ?? 0, options.y ?? 0, options.z ?? 0];
+
+    // buffers
+    const vertices = [];
+    const indices = [];
 
-    const boxVertArray = new Float32Array([
-      //position,     normal,    uv,
-      x+w, y-h, z+d,  0, -1, 0,  1, 1,
-      x-w, y-h, z+d,  0, -1, 0,  0, 1,
-      x-w, y-h, z-d,  0, -1, 0,  0, 0,
-      x+w, y-h, z-d,  0, -1, 0,  1, 0,
-      x+w, y-h, z+d,  0, -1, 0,  1, 1,
-      x-w, y-h, z-d,  0, -1, 0,  0, 0,
-
-      x+w, y+h, z+d,  1, 0, 0,   1, 1,
-      x+w, y-h, z+d,  1, 0, 0,   0, 1,
-      x+w, y-h, z-d,  1, 0, 0,   0, 0,
-      x+w, y+h, z-d,  1, 0, 0,   1, 0,
-      x+w, y+h, z+d,  1, 0, 0,   1, 1,
-      x+w, y-h, z-d,  1, 0, 0,   0, 0,
-
-      x-w, y+h, z+d,  0, 1, 0,   1, 1,
-      x+w, y+h, z+d,  0, 1, 0,   0, 1,
-      x+w, y+h, z-d,  0, 1, 0,   0, 0,
-      x-w, y+h, z-d,  0, 1, 0,   1, 0,
-      x-w, y+h, z+d,  0, 1, 0,   1, 1,
-      x+w, y+h, z-d,  0, 1, 0,   0, 0,
-
-      x-w, y-h, z+d,  -1, 0, 0,  1, 1,
-      x-w, y+h, z+d,  -1, 0, 0,  0, 1,
-      x-w, y+h, z-d,  -1, 0, 0,  0, 0,
-      x-w, y-h, z-d,  -1, 0, 0,  1, 0,
-      x-w, y-h, z+d,  -1, 0, 0,  1, 1,
-      x-w, y+h, z-d,  -1, 0, 0,  0, 0,
-
-      x+w, y+h, z+d,  0, 0, 1,   1, 1,
-      x-w, y+h, z+d,  0, 0, 1,   0, 1,
-      x-w, y-h, z+d,  0, 0, 1,   0, 0,
-      x-w, y-h, z+d,  0, 0, 1,   0, 0,
-      x+w, y-h, z+d,  0, 0, 1,   1, 0,
-      x+w, y+h, z+d,  0, 0, 1,   1, 1,
-
-      x+w, y-h, z-d,  0, 0, -1,  1, 1,
-      x-w, y-h, z-d,  0, 0, -1,  0, 1,
-      x-w, y+h, z-d,  0, 0, -1,  0, 0,
-      x+w, y+h, z-d,  0, 0, -1,  1, 0,
-      x+w, y-h, z-d,  0, 0, -1,  1, 1,
-      x-w, y+h, z-d,  0, 0, -1,  0, 0,
-    ]);
+    // helper variables
+    let index = 0;
+
+    // build each side of the box. Axes are given as indices of x, y, and z.
+    buildPlane(2, 1, 0, -1, -1, depth, height, width, depthSegments, heightSegments); // px
+    buildPlane(2, 1, 0, 1, -1, depth, height, -width, depthSegments, heightSegments); // nx
+    buildPlane(0, 2, 1, 1, 1, width, depth, height, widthSegments, depthSegments); // py
+    buildPlane(0, 2, 1, 1, -1, width, depth, -height, widthSegments, depthSegments); // ny
+    buildPlane(0, 1, 2, 1, -1, width, height, depth, widthSegments, heightSegments); // pz
+    buildPlane(0, 1, 2, -1, -1, width, height, -depth, widthSegments, heightSegments); // nz
+
+    const vertArray = new Float32Array(vertices);
 
     this.label = options.label;
-    this.position = { values: boxVertArray, stride: 32 };
-    this.normal = { values: boxVertArray, stride: 32, offset: 12 };
-    this.texcoord0 = { values: boxVertArray, stride: 32, offset: 24 };
+    this.position = { values: vertArray, stride: 32 };
+    this.normal = { values: vertArray, stride: 32, offset: 12 };
+    this.texcoord0 = { values: vertArray, stride: 32, offset: 24 };
+    this.indices = createIndexArray(indices, index);
+
+    function buildPlane(u, v, w, udir, vdir, width, height, depth, gridX, gridY) {
+      const segmentWidth = width / gridX;
+      const segmentHeight = height / gridY;
+
+      const widthHalf = width / 2;
+      const heightHalf = height / 2;
+      const depthHalf = depth / 2;
+
+      const vertexStart = index;
+      const vertex = vec3.create();
+      const normal = vec3.create();
+
+      // generate vertices, normals and uvs
+      for (let iy = 0; iy <= gridY; ++iy) {
+        const y = iy * segmentHeight - heightHalf;
+
+        for (let ix = 0; ix <= gridX; ++ix) {
+          const x = ix * segmentWidth - widthHalf;
+
+          // vertex
+          vertex[u] = x * udir;
+          vertex[v] = y * vdir;
+          vertex[w] = depthHalf;
+          vertices.push(vertex[0] + offset[0], vertex[1] + offset[1], vertex[2] + offset[2]);
+
+          // normal
+          normal[u] = 0;
+          normal[v] = 0;
+          normal[w] = depth > 0 ? 1 : -1;
+          vertices.push(normal[0], normal[1], normal[2]);
+
+          // uv
+          vertices.push(ix / gridX, 1 - (iy / gridY));
+
+          ++index;
+        }
+      }
+
+      // indices
+      for (let iy = 0; iy < gridY; ++iy) {
+        for (let ix = 0; ix < gridX; ++ix) {
+          const a = vertexStart + ix + (gridX + 1) * iy;
+          const b = vertexStart + ix + (gridX + 1) * (iy + 1);
+          const c = vertexStart + (ix + 1) + (gridX + 1) * (iy + 1);
+          const d = vertexStart + (ix + 1) + (gridX + 1) * iy;
+
+          // faces
+          indices.push(a, b, d);
+          indices.push(b, c, d);
+        }
+      }
+    }
   }
 }
 
 // Big swaths of this code lifted with love from Three.js
+/**
+ * A UV sphere. phiStart and phiLength sweep around the Y axis, while thetaStart and thetaLength sweep down from the
+ * top pole, so partial spheres such as hemispheres (thetaLength: Math.PI / 2) and domes can be built. Partial sweeps
+ * are left open.
+ */
 export class SphereGeometryDesc {
   constructor(device, options = {}) {
     const radius = options.radius ?? 0.5;
     const widthSegments = Math.max( 3, Math.floor( options.widthSegments ?? 32 ) );
     const heightSegments = Math.max( 2, Math.floor( options.heightSegments ?? 16 ) );
 
-    const phiStart = 0;
-    const phiLength = Math.PI * 2;
-    const thetaStart = 0;
-    const thetaLength = Math.PI;
+    const phiStart = options.phiStart ?? 0;
+    const phiLength = options.phiLength ?? Math.PI * 2;
+    const thetaStart = options.thetaStart ?? 0;
+    const thetaLength = options.thetaLength ?? Math.PI;
 
     const thetaEnd = Math.min( thetaStart + thetaLength, Math.PI );
 
@@ -150,10 +192,14 @@ export class SphereGeometryDesc {
     this.position = { values: vertArray, stride: 32 };
     this.normal = { values: vertArray, stride: 32, offset: 12 };
     this.texcoord0 = { values: vertArray, stride: 32, offset: 24 };
-    this.indices = new Uint16Array(indices);
+    this.indices = createIndexArray(indices, index);
   }
 }
 
+/**
+ * A cylinder along the Y axis. thetaStart and thetaLength sweep around the axis to build partial cylinders, and
+ * openEnded skips the caps.
+ */
 export class CylinderGeometryDesc {
   constructor(device, options = {}) {
     const radiusTop = options.radiusTop ?? 0.5;
@@ -191,7 +237,7 @@ export class CylinderGeometryDesc {
     this.position = {values: vertexArray, stride: 32};
     this.normal = {values: vertexArray, stride: 32, offset: 12};
     this.texcoord0 = {values: vertexArray, stride: 32, offset: 24};
-    this.indices = new Uint16Array(indices);
+    this.indices = createIndexArray(indices, index);
 
     // build geometry
     function generateTorso() {
@@ -338,3 +384,699 @@ export class ConeGeometryDesc extends CylinderGeometryDesc {
     });
   }
 }
+
+export class TorusGeometryDesc {
+  constructor(device, options = {}) {
+    const radius = options.radius ?? 0.35;
+    const tube = options.tube ?? 0.15;
+    const radialSegments = Math.max(3, Math.floor(options.radialSegments ?? 16));
+    const tubularSegments = Math.max(3, Math.floor(options.tubularSegments ?? 32));
+    const arc = options.arc ?? Math.PI * 2;
+
+    const x = options.x ?? 0;
+    const y = options.y ?? 0;
+    const z = options.z ?? 0;
+
+    const vertex = vec3.create();
+    const normal = vec3.create();
+
+    // buffers
+    const vertices = [];
+    const indices = [];
+
+    // generate vertices, normals and uvs
+    for (let j = 0; j <= radialSegments; ++j) {
+      for (let i = 0; i <= tubularSegments; ++i) {
+        const u = i / tubularSegments * arc;
+        const v = j / radialSegments * Math.PI * 2;
+
+        // vertex
+        vertex[0] = (radius + tube * Math.cos(v)) * Math.cos(u);
+        vertex[1] = (radius + tube * Math.cos(v)) * Math.sin(u);
+        vertex[2] = tube * Math.sin(v);
+
+        vertices.push(vertex[0] + x, vertex[1] + y, vertex[2] + z);
+
+        // normal, pointing away from the center of the tube
+        vec3.sub(normal, vertex, [radius * Math.cos(u), radius * Math.sin(u), 0]);
+        vec3.normalize(normal, normal);
+        vertices.push(normal[0], normal[1], normal[2]);
+
+        // texcoord
+        vertices.push(i / tubularSegments, 1 - j / radialSegments);
+      }
+    }
+
+    // indices
+    for (let j = 1; j <= radialSegments; ++j) {
+      for (let i = 1; i <= tubularSegments; ++i) {
+        const a = (tubularSegments + 1) * j + i - 1;
+        const b = (tubularSegments + 1) * (j - 1) + i - 1;
+        const c = (tubularSegments + 1) * (j - 1) + i;
+        const d = (tubularSegments + 1) * j + i;
+
+        indices.push(a, b, d);
+        indices.push(b, c, d);
+      }
+    }
+
+    const vertArray = new Float32Array(vertices);
+
+    this.label = options.label;
+    this.position = { values: vertArray, stride: 32 };
+    this.normal = { values: vertArray, stride: 32, offset: 12 };
+    this.texcoord0 = { values: vertArray, stride: 32, offset: 24 };
+    this.indices = createIndexArray(indices, vertArray.length / 8);
+  }
+}
+
+/**
+ * A flat grid in the XY plane facing +Z, split into widthSegments x heightSegments quads.
+ */
+export class PlaneGeometryDesc {
+  constructor(device, options = {}) {
+    const width = options.width ?? 1;
+    const height = options.height ?? 1;
+    const widthSegments = Math.max(1, Math.floor(options.widthSegments ?? 1));
+    const heightSegments = Math.max(1, Math.floor(options.heightSegments ?? 1));
+
+    const x = options.x ?? 0;
+    const y = options.y ?? 0;
+    const z = options.z ?? 0;
+
+    const widthHalf = width / 2;
+    const heightHalf = height / 2;
+    const segmentWidth = width / widthSegments;
+    const segmentHeight = height / heightSegments;
+
+    // buffers
+    const vertices = [];
+    const indices = [];
+
+    // generate vertices, normals and uvs
+    for (let iy = 0; iy <= heightSegments; ++iy) {
+      const vy = iy * segmentHeight - heightHalf;
+      for (let ix = 0; ix <= widthSegments; ++ix) {
+        const vx = ix * segmentWidth - widthHalf;
+
+        vertices.push(vx + x, -vy + y, z);
+        vertices.push(0, 0, 1);
+        vertices.push(ix / widthSegments, 1 - (iy / heightSegments));
+      }
+    }
+
+    // indices
+    for (let iy = 0; iy < heightSegments; ++iy) {
+      for (let ix = 0; ix < widthSegments; ++ix) {
+        const a = ix + (widthSegments + 1) * iy;
+        const b = ix + (widthSegments + 1) * (iy + 1);
+        const c = (ix + 1) + (widthSegments + 1) * (iy + 1);
+        const d = (ix + 1) + (widthSegments + 1) * iy;
+
+        indices.push(a, b, d);
+        indices.push(b, c, d);
+      }
+    }
+
+    const vertArray = new Float32Array(vertices);
+
+    this.label = options.label;
+    this.position = { values: vertArray, stride: 32 };
+    this.normal = { values: vertArray, stride: 32, offset: 12 };
+    this.texcoord0 = { values: vertArray, stride: 32, offset: 24 };
+    this.indices = createIndexArray(indices, vertArray.length / 8);
+  }
+}
+
+/**
+ * A cylinder along the Y axis capped with hemispheres. height is the length of the cylindrical section, so the total
+ * height is height + radius * 2. Rings are laid out and textured like SphereGeometryDesc, with v following the
+ * distance along the profile.
+ */
+export class CapsuleGeometryDesc {
+  constructor(device, options = {}) {
+    const radius = options.radius ?? 0.25;
+    const height = options.height ?? 0.5;
+    const capSegments = Math.max(1, Math.floor(options.capSegments ?? 8));
+    const radialSegments = Math.max(3, Math.floor(options.radialSegments ?? 16));
+    const heightSegments = Math.max(1, Math.floor(options.heightSegments ?? 1));
+
+    const x = options.x ?? 0;
+    const y = options.y ?? 0;
+    const z = options.z ?? 0;
+
+    const halfHeight = height / 2;
+
+    // Build the profile as a list of rings from the top pole to the bottom pole. Each ring has a radius, a height, the
+    // components of its normal in the radial and Y directions, and its distance along the profile.
+    const rings = [];
+    const capLength = radius * Math.PI / 2;
+    for (let iy = 0; iy <= capSegments; ++iy) {
+      const theta = iy / capSegments * Math.PI / 2;
+      rings.push({
+        radius: radius * Math.sin(theta),
+        y: halfHeight + radius * Math.cos(theta),
+        normalRadial: Math.sin(theta),
+        normalY: Math.cos(theta),
+        length: iy / capSegments * capLength,
+      });
+    }
+    for (let iy = 1; iy < heightSegments; ++iy) {
+      rings.push({
+        radius,
+        y: halfHeight - iy / heightSegments * height,
+        normalRadial: 1,
+        normalY: 0,
+        length: capLength + iy / heightSegments * height,
+      });
+    }
+    for (let iy = 0; iy <= capSegments; ++iy) {
+      const theta = Math.PI / 2 + iy / capSegments * Math.PI / 2;
+      rings.push({
+        radius: radius * Math.sin(theta),
+        y: -halfHeight + radius * Math.cos(theta),
+        normalRadial: Math.sin(theta),
+        normalY: Math.cos(theta),
+        length: capLength + height + iy / capSegments * capLength,
+      });
+    }
+    const totalLength = capLength * 2 + height;
+
+    let index = 0;
+    const grid = [];
+
+    // buffers
+    const vertices = [];
+    const indices = [];
+
+    // generate vertices, normals and uvs
+    for (let iy = 0; iy < rings.length; ++iy) {
+      const ring = rings[iy];
+      const verticesRow = [];
+      const v = ring.length / totalLength;
+
+      // special case for the poles
+      let uOffset = 0;
+      if (iy == 0) {
+        uOffset = 0.5 / radialSegments;
+      } else if (iy == rings.length - 1) {
+        uOffset = - 0.5 / radialSegments;
+      }
+
+      for (let ix = 0; ix <= radialSegments; ++ix) {
+        const u = ix / radialSegments;
+        const cosPhi = -Math.cos(u * Math.PI * 2);
+        const sinPhi = Math.sin(u * Math.PI * 2);
+
+        // vertex
+        vertices.push(ring.radius * cosPhi + x, ring.y + y, ring.radius * sinPhi + z);
+
+        // normal
+        vertices.push(ring.normalRadial * cosPhi, ring.normalY, ring.normalRadial * sinPhi);
+
+        // texcoord
+        vertices.push(u + uOffset, 1 - v);
+
+        verticesRow.push(index++);
+      }
+
+      grid.push(verticesRow);
+    }
+
+    // indices
+    for (let iy = 0; iy < rings.length - 1; iy++) {
+      for (let ix = 0; ix < radialSegments; ix++) {
+        const a = grid[iy][ix + 1];
+        const b = grid[iy][ix];
+        const c = grid[iy + 1][ix];
+        const d = grid[iy + 1][ix + 1];
+
+        if (iy !== 0) indices.push(a, b, d);
+        if (iy !== rings.length - 2) indices.push(b, c, d);
+      }
+    }
+
+    const vertArray = new Float32Array(vertices);
+
+    this.label = options.label;
+    this.position = { values: vertArray, stride: 32 };
+    this.normal = { values: vertArray, stride: 32, offset: 12 };
+    this.texcoord0 = { values: vertArray, stride: 32, offset: 24 };
+    this.indices = createIndexArray(indices, index);
+  }
+}
+
+/**
+ * A sphere built by repeatedly subdividing an icosahedron, which spaces vertices far more evenly than
+ * SphereGeometryDesc. Each subdivision level multiplies the triangle count by 4. The icosahedron is oriented with a
+ * vertex at each pole and textured with the same mapping as SphereGeometryDesc: vertices along the UV seam are
+ * duplicated, and each triangle touching a pole gets its own pole vertex with u centered between its other two.
+ */
+export class IcosphereGeometryDesc {
+  constructor(device, options = {}) {
+    const radius = options.radius ?? 0.5;
+    const subdivisions = Math.max(0, Math.floor(options.subdivisions ?? 3));
+
+    const x = options.x ?? 0;
+    const y = options.y ?? 0;
+    const z = options.z ?? 0;
+
+    // Unit icosahedron with a vertex at each pole and two rings of five between them.
+    const points = [[0, 1, 0]];
+    const ringY = 1 / Math.sqrt(5);
+    const ringRadius = 2 / Math.sqrt(5);
+    for (let ring = 0; ring < 2; ++ring) {
+      for (let k = 0; k < 5; ++k) {
+        const phi = (k + ring * 0.5) * Math.PI * 2 / 5;
+        points.push([-ringRadius * Math.cos(phi), ring == 0 ? ringY : -ringY, ringRadius * Math.sin(phi)]);
+      }
+    }
+    points.push([0, -1, 0]);
+
+    let triangles = [];
+    for (let k = 0; k < 5; ++k) {
+      const upper = 1 + k;
+      const nextUpper = 1 + (k + 1) % 5;
+      const lower = 6 + k;
+      const nextLower = 6 + (k + 1) % 5;
+      triangles.push([0, upper, nextUpper]);
+      triangles.push([upper, lower, nextUpper]);
+      triangles.push([nextUpper, lower, nextLower]);
+      triangles.push([11, nextLower, lower]);
+    }
+
+    // Split every triangle into four, sharing the new vertex on each edge with the neighboring triangle.
+    for (let level = 0; level < subdivisions; ++level) {
+      const midpoints = new Map();
+      const midpoint = (i0, i1) => {
+        const key = i0 < i1 ? `${i0},${i1}` : `${i1},${i0}`;
+        let index = midpoints.get(key);
+        if (index === undefined) {
+          const point = vec3.add(vec3.create(), points[i0], points[i1]);
+          vec3.normalize(point, point);
+          index = points.length;
+          points.push(point);
+          midpoints.set(key, index);
+        }
+        return index;
+      };
+
+      const subdivided = [];
+      for (const [a, b, c] of triangles) {
+        const ab = midpoint(a, b);
+        const bc = midpoint(b, c);
+        const ca = midpoint(c, a);
+        subdivided.push([a, ab, ca], [b, bc, ab], [c, ca, bc], [ab, bc, ca]);
+      }
+      triangles = subdivided;
+    }
+
+    // buffers
+    const vertices = [];
+    const indices = [];
+
+    const pushVertex = (point, u) => {
+      vertices.push(point[0] * radius + x, point[1] * radius + y, point[2] * radius + z);
+      vertices.push(point[0], point[1], point[2]);
+      vertices.push(u, 1 - Math.acos(Math.min(Math.max(point[1], -1), 1)) / Math.PI);
+      return vertices.length / 8 - 1;
+    };
+
+    const isPole = (pointIndex) => pointIndex == 0 || pointIndex == 11;
+
+    const pointU = points.map((point) => {
+      const u = Math.atan2(point[2], -point[0]) / (Math.PI * 2);
+      return u < 0 ? u + 1 : u;
+    });
+
+    // Poles don't get a shared vertex, since every triangle touching one needs a different u.
+    const pointVertices = points.map((point, i) => isPole(i) ? -1 : pushVertex(point, pointU[i]));
+
+    // Points on the low side of the seam are duplicated with u + 1 for triangles which cross it.
+    const seamVertices = new Map();
+    const seamVertex = (pointIndex) => {
+      let index = seamVertices.get(pointIndex);
+      if (index === undefined) {
+        index = pushVertex(points[pointIndex], pointU[pointIndex] + 1);
+        seamVertices.set(pointIndex, index);
+      }
+      return index;
+    };
+
+    for (const triangle of triangles) {
+      const corners = triangle.map((point) => ({ point, index: pointVertices[point], u: pointU[point] }));
+      const sideCorners = corners.filter((corner) => !isPole(corner.point));
+      const sideUs = sideCorners.map((corner) => corner.u);
+      if (Math.max(...sideUs) - Math.min(...sideUs) > 0.5) {
+        for (const corner of sideCorners) {
+          if (corner.u < 0.5) {
+            corner.index = seamVertex(corner.point);
+            corner.u += 1;
+          }
+        }
+      }
+
+      for (const corner of corners) {
+        if (isPole(corner.point)) {
+          corner.index = pushVertex(points[corner.point], (sideCorners[0].u + sideCorners[1].u) / 2);
+        }
+      }
+
+      indices.push(corners[0].index, corners[1].index, corners[2].index);
+    }
+
+    const vertArray = new Float32Array(vertices);
+
+    this.label = options.label;
+    this.position = { values: vertArray, stride: 32 };
+    this.normal = { values: vertArray, stride: 32, offset: 12 };
+    this.texcoord0 = { values: vertArray, stride: 32, offset: 24 };
+    this.indices = createIndexArray(indices, vertArray.length / 8);
+  }
+}
+
+export class TorusKnotGeometryDesc {
+  constructor(device, options = {}) {
+    const radius = options.radius ?? 0.3;
+    const tube = options.tube ?? 0.08;
+    const tubularSegments = Math.max(3, Math.floor(options.tubularSegments ?? 128));
+    const radialSegments = Math.max(3, Math.floor(options.radialSegments ?? 16));
+    const p = options.p ?? 2;
+    const q = options.q ?? 3;
+
+    const x = options.x ?? 0;
+    const y = options.y ?? 0;
+    const z = options.z ?? 0;
+
+    const vertex = vec3.create();
+    const normal = vec3.create();
+
+    const P1 = vec3.create();
+    const P2 = vec3.create();
+
+    const B = vec3.create();
+    const T = vec3.create();
+    const N = vec3.create();
+
+    // buffers
+    const vertices = [];
+    const indices = [];
+
+    // generate vertices, normals and uvs
+    for (let i = 0; i <= tubularSegments; ++i) {
+      // the radian "u" is used to calculate the position on the torus curve of the current tubular segment
+      const u = i / tubularSegments * p * Math.PI * 2;
+
+      // now we calculate two points. P1 is our current position on the curve, P2 is a little farther ahead.
+      // these points are used to create a special "coordinate space", which is necessary to calculate the correct
+      // vertex positions
+      calculatePositionOnCurve(u, P1);
+      calculatePositionOnCurve(u + 0.01, P2);
+
+      // calculate orthonormal basis
+      vec3.sub(T, P2, P1);
+      vec3.add(N, P2, P1);
+      vec3.cross(B, T, N);
+      vec3.cross(N, B, T);
+
+      // normalize B, N. T can be ignored, we don't use it
+      vec3.normalize(B, B);
+      vec3.normalize(N, N);
+
+      for (let j = 0; j <= radialSegments; ++j) {
+        // now calculate the vertices. they are nothing more than an extrusion of the torus curve.
+        // because we extrude a shape in the xy-plane, there is no need to calculate a z-value.
+        const v = j / radialSegments * Math.PI * 2;
+        const cx = -tube * Math.cos(v);
+        const cy = tube * Math.sin(v);
+
+        // now calculate the final vertex position.
+        // first we orient the extrusion with our basis vectors, then we add it to the current position on the curve
+        vertex[0] = P1[0] + (cx * N[0] + cy * B[0]);
+        vertex[1] = P1[1] + (cx * N[1] + cy * B[1]);
+        vertex[2] = P1[2] + (cx * N[2] + cy * B[2]);
+
+        vertices.push(vertex[0] + x, vertex[1] + y, vertex[2] + z);
+
+        // normal (P1 is always the center/origin of the extrusion, thus we can use it to calculate the normal)
+        vec3.sub(normal, vertex, P1);
+        vec3.normalize(normal, normal);
+        vertices.push(normal[0], normal[1], normal[2]);
+
+        // uv
+        vertices.push(i / tubularSegments, 1 - j / radialSegments);
+      }
+    }
+
+    // generate indices
+    for (let j = 1; j <= tubularSegments; j++) {
+      for (let i = 1; i <= radialSegments; i++) {
+        const a = (radialSegments + 1) * (j - 1) + (i - 1);
+        const b = (radialSegments + 1) * j + (i - 1);
+        const c = (radialSegments + 1) * j + i;
+        const d = (radialSegments + 1) * (j - 1) + i;
+
+        indices.push(a, b, d);
+        indices.push(b, c, d);
+      }
+    }
+
+    const vertArray = new Float32Array(vertices);
+
+    this.label = options.label;
+    this.position = { values: vertArray, stride: 32 };
+    this.normal = { values: vertArray, stride: 32, offset: 12 };
+    this.texcoord0 = { values: vertArray, stride: 32, offset: 24 };
+    this.indices = createIndexArray(indices, vertArray.length / 8);
+
+    // this function calculates the current position on the torus curve
+    function calculatePositionOnCurve(u, position) {
+      const cu = Math.cos(u);
+      const su = Math.sin(u);
+      const quOverP = q / p * u;
+      const cs = Math.cos(quOverP);
+
+      position[0] = radius * (2 + cs) * 0.5 * cu;
+      position[1] = radius * (2 + cs) * su * 0.5;
+      position[2] = radius * Math.sin(quOverP) * 0.5;
+    }
+  }
+}
+
+// Samples the heights of a HeightfieldGeometryDesc into a Float32Array of (widthSegments + 1) * (depthSegments + 1)
+// values, in rows along X, with the vertical scale applied.
+function sampleHeightfield(options, widthSegments, depthSegments) {
+  const heightScale = options.heightScale ?? 1;
+  const columns = widthSegments + 1;
+  const rows = depthSegments + 1;
+  const heights = new Float32Array(columns * rows);
+
+  if (options.heights) {
+    if (options.heights.length != heights.length) {
+      throw new Error(`heights has ${options.heights.length} values, but a ${widthSegments}x${depthSegments} segment grid needs ${heights.length}`);
+    }
+    // 8 bit heights are treated as normalized, like the values of a heightmap image's ImageData.
+    const normalize = options.heights instanceof Uint8Array || options.heights instanceof Uint8ClampedArray ?
+      1 / 255 : 1;
+    for (let i = 0; i < heights.length; ++i) {
+      heights[i] = options.heights[i] * normalize * heightScale;
+    }
+  } else if (options.sampler) {
+    for (let iz = 0; iz < rows; ++iz) {
+      for (let ix = 0; ix < columns; ++ix) {
+        heights[iz * columns + ix] = options.sampler(ix / widthSegments, iz / depthSegments) * heightScale;
+      }
+    }
+  } else {
+    throw new Error('A heightfield needs either heights or a sampler');
+  }
+
+  return heights;
+}
+
+/**
+ * An indexed grid of terrain in the XZ plane, centered on x, y, z, with heights along Y. Heights come from either a
+ * heights array with (widthSegments + 1) * (depthSegments + 1) values in rows along X, or a sampler function which is
+ * given the normalized grid position of each vertex, and one of them must be given. Uint8Array and Uint8ClampedArray
+ * heights are normalized to 0-1, and every height is multiplied by heightScale. Normals are computed from the finite
+ * differences of neighboring heights, and UVs run from 0 to 1 across the whole grid.
+ *
+ * A skirtDepth greater than 0 adds a strip of triangles hanging down from every edge, which hides cracks between
+ * neighboring tiles drawn at different levels of detail.
+ */
+export class HeightfieldGeometryDesc {
+  constructor(device, options = {}) {
+    const width = options.width ?? 1;
+    const depth = options.depth ?? 1;
+    const widthSegments = Math.max(1, Math.floor(options.widthSegments ?? 64));
+    const depthSegments = Math.max(1, Math.floor(options.depthSegments ?? 64));
+    const skirtDepth = options.skirtDepth ?? 0;
+
+    const x = options.x ?? 0;
+    const y = options.y ?? 0;
+    const z = options.z ?? 0;
+
+    // Only the segments within region are built, as used by CreateTiles. Normals are still computed from the
+    // neighboring heights outside of the region, so that lighting is continuous across tiles.
+    const region = options.region ?? { x: 0, z: 0, width: widthSegments, depth: depthSegments };
+
+    const heights = sampleHeightfield(options, widthSegments, depthSegments);
+    const columns = widthSegments + 1;
+    const segmentWidth = width / widthSegments;
+    const segmentDepth = depth / depthSegments;
+    const heightAt = (ix, iz) => heights[iz * columns + ix];
+
+    // buffers
+    const vertices = [];
+    const indices = [];
+
+    // helper variables
+    let index = 0;
+    const grid = [];
+    const normal = vec3.create();
+
+    // generate vertices, normals and uvs
+    for (let iz = region.z; iz <= region.z + region.depth; ++iz) {
+      const indexRow = [];
+      for (let ix = region.x; ix <= region.x + region.width; ++ix) {
+        // vertex
+        vertices.push(
+          ix * segmentWidth - width / 2 + x,
+          heightAt(ix, iz) + y,
+          iz * segmentDepth - depth / 2 + z
+        );
+
+        // normal, from central differences where both neighbors exist and one sided ones at the edges of the grid
+        const x0 = Math.max(ix - 1, 0);
+        const x1 = Math.min(ix + 1, widthSegments);
+        const z0 = Math.max(iz - 1, 0);
+        const z1 = Math.min(iz + 1, depthSegments);
+        const dx = (heightAt(x1, iz) - heightAt(x0, iz)) / ((x1 - x0) * segmentWidth);
+        const dz = (heightAt(ix, z1) - heightAt(ix, z0)) / ((z1 - z0) * segmentDepth);
+        vec3.normalize(normal, [-dx, 1, -dz]);
+        vertices.push(normal[0], normal[1], normal[2]);
+
+        // uv
+        vertices.push(ix / widthSegments, 1 - (iz / depthSegments));
+
+        indexRow.push(index++);
+      }
+      grid.push(indexRow);
+    }
+
+    // indices
+    for (let iz = 0; iz < region.depth; ++iz) {
+      for (let ix = 0; ix < region.width; ++ix) {
+        const a = grid[iz][ix];
+        const b = grid[iz + 1][ix];
+        const c = grid[iz + 1][ix + 1];
+        const d = grid[iz][ix + 1];
+
+        indices.push(a, b, d);
+        indices.push(b, c, d);
+      }
+    }
+
+    if (skirtDepth > 0) {
+      // Walk the edge of the grid, then copy each edge vertex skirtDepth below itself.
+      const edge = [];
+      for (let ix = 0; ix < region.width; ++ix) edge.push(grid[0][ix]);
+      for (let iz = 0; iz < region.depth; ++iz) edge.push(grid[iz][region.width]);
+      for (let ix = region.width; ix > 0; --ix) edge.push(grid[region.depth][ix]);
+      for (let iz = region.depth; iz > 0; --iz) edge.push(grid[iz][0]);
+
+      const skirtStart = index;
+      for (const edgeIndex of edge) {
+        const offset = edgeIndex * 8;
+        vertices.push(vertices[offset], vertices[offset + 1] - skirtDepth, vertices[offset + 2]);
+        vertices.push(...vertices.slice(offset + 3, offset + 8));
+        index++;
+      }
+
+      for (let i = 0; i < edge.length; ++i) {
+        const next = (i + 1) % edge.length;
+        const a = edge[i];
+        const b = skirtStart + i;
+        const c = skirtStart + next;
+        const d = edge[next];
+
+        indices.push(a, d, b);
+        indices.push(b, d, c);
+      }
+    }
+
+    const vertArray = new Float32Array(vertices);
+
+    this.label = options.label;
+    this.position = { values: vertArray, stride: 32 };
+    this.normal = { values: vertArray, stride: 32, offset: 12 };
+    this.texcoord0 = { values: vertArray, stride: 32, offset: 24 };
+    this.indices = createIndexArray(indices, index);
+  }
+
+  /**
+   * Splits a heightfield into square tiles of tileSegments segments each, which can be culled individually since each
+   * one gets bounds that fit only its own vertices. Takes the same options as the constructor, and the heights are
+   * sampled once for the whole grid so neighboring tiles share their edge vertices exactly. Tiles along the far edges
+   * are smaller if the segment counts aren't a multiple of tileSegments.
+   * @param {GPUDevice} device
+   * @param {Object} options
+   * @param {number} [options.tileSegments=32]
+   * @returns {HeightfieldGeometryDesc[]} Tiles in rows along X, from -Z to +Z.
+   */
+  static CreateTiles(device, options = {}) {
+    const widthSegments = Math.max(1, Math.floor(options.widthSegments ?? 64));
+    const depthSegments = Math.max(1, Math.floor(options.depthSegments ?? 64));
+    const tileSegments = Math.max(1, Math.floor(options.tileSegments ?? 32));
+
+    const heights = sampleHeightfield(options, widthSegments, depthSegments);
+    const label = options.label ?? 'Heightfield';
+
+    const tiles = [];
+    for (let tz = 0; tz * tileSegments < depthSegments; ++tz) {
+      for (let tx = 0; tx * tileSegments < widthSegments; ++tx) {
+        const region = {
+          x: tx * tileSegments,
+          z: tz * tileSegments,
+          width: Math.min(tileSegments, widthSegments - tx * tileSegments),
+          depth: Math.min(tileSegments, depthSegments - tz * tileSegments),
+        };
+        tiles.push(new HeightfieldGeometryDesc(device, {
+          ...options,
+          widthSegments,
+          depthSegments,
+          heights,
+          heightScale: 1,
+          sampler: undefined,
+          region,
+          label: `${label} [${tx}, ${tz}]`,
+        }));
+      }
+    }
+    return tiles;
+  }
+}
+
+/**
+ * Builds a GeometryDescriptor with a LOD chain by calling a shape generator once for each level, for example with
+ * decreasing segment counts. The first level is the base descriptor and its distance or screenSize is ignored.
+ * @param {function(Object): GeometryDescriptor} createDesc - Called with the options of each level.
+ * @param {{ options: Object, distance?: number, screenSize?: number }[]} levels - Levels from most to least detailed.
+ * @param {Object} [descOptions] - Additional GeometryDescriptor properties for the base level, such as label.
+ * @returns {GeometryDescriptor}
+ */
+export function createShapeLodChain(createDesc, levels, descOptions = {}) {
+  if (!levels.length) {
+    throw new Error('A LOD chain needs at least one level.');
+  }
+  const baseDesc = createDesc(levels[0].options);
+  return {
+    ...baseDesc,
+    ...descOptions,
+    lods: levels.slice(1).map((level) => ({
+      desc: createDesc(level.options),
+      distance: level.distance,
+      screenSize: level.screenSize,
+    })),
+  };
+}
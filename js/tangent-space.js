@@ -0,0 +1,475 @@
+// Generation of normals and tangents for triangle lists that don't supply them. As with the optimizer, every function
+// here is pure: it takes index and vertex arrays and returns new ones without modifying its inputs.
+//
+// A vertex shared by triangles that need different values, such as at a hard edge or where the texture coordinates are
+// mirrored, has to be split. Generated values are returned for the split vertices along with sources, where
+// sources[newVertex] is the original vertex that it's a copy of. The first copy of each vertex keeps its original
+// index, so when nothing is split sources is the identity and the original vertex data can be used unchanged.
+
+/**
+ * Options for generating normals
+ * @typedef {Object} NormalGenerationOptions
+ * @prop {number} [angleThreshold=Math.PI] - Largest angle in radians between the faces around a corner that are still
+ *   smoothed together. 0 gives faceted normals and Math.PI smooths across every face that shares a position.
+ */
+
+/**
+ * Values generated for every vertex of a triangle list
+ * @typedef {Object} GeneratedVertexValues
+ * @prop {Float32Array} values - Tightly packed values for each vertex, after splitting.
+ * @prop {Uint32Array} sources - The original vertex that each vertex is a copy of.
+ * @prop {Uint32Array} indices - Triangle list indices that reference the split vertices.
+ * @prop {number} vertexCount
+ */
+
+// Builds a string key from a vertex's values so that vertices with bitwise identical values can be found.
+function valueKey(values, vertex, components) {
+  let key = '';
+  for (let j = 0; j < components; ++j) {
+    key += values[vertex * components + j] + ',';
+  }
+  return key;
+}
+
+// Computes the unit normal of every triangle, or 0 for degenerate triangles, and the angle at each corner.
+function computeFaceGeometry(positions, indices) {
+  const triangleCount = Math.floor(indices.length / 3);
+  const faceNormals = new Float32Array(triangleCount * 3);
+  const cornerAngles = new Float32Array(triangleCount * 3);
+  const edges = [[0, 0, 0], [0, 0, 0], [0, 0, 0]];
+
+  for (let t = 0; t < triangleCount; ++t) {
+    const a = indices[t * 3] * 3;
+    const b = indices[t * 3 + 1] * 3;
+    const c = indices[t * 3 + 2] * 3;
+
+    // Edges leaving each corner: a->b, b->c, c->a.
+    for (let j = 0; j < 3; ++j) {
+      edges[0][j] = positions[b + j] - positions[a + j];
+      edges[1][j] = positions[c + j] - positions[b + j];
+      edges[2][j] = positions[a + j] - positions[c + j];
+    }
+
+    // Counter-clockwise normal, (b - a) x (c - a), where c - a is the reverse of the c->a edge.
+    const e0 = edges[0];
+    const e2 = edges[2];
+    const nx = e0[2] * e2[1] - e0[1] * e2[2];
+    const ny = e0[0] * e2[2] - e0[2] * e2[0];
+    const nz = e0[1] * e2[0] - e0[0] * e2[1];
+    const length = Math.hypot(nx, ny, nz);
+    if (length > 0) {
+      faceNormals[t * 3] = nx / length;
+      faceNormals[t * 3 + 1] = ny / length;
+      faceNormals[t * 3 + 2] = nz / length;
+    }
+
+    // The angle at each corner is between the edge leaving it and the reversed edge arriving at it.
+    for (let k = 0; k < 3; ++k) {
+      const out = edges[k];
+      const into = edges[(k + 2) % 3];
+      const lengths = Math.hypot(out[0], out[1], out[2]) * Math.hypot(into[0], into[1], into[2]);
+      if (lengths > 0) {
+        const cos = -(out[0] * into[0] + out[1] * into[1] + out[2] * into[2]) / lengths;
+        cornerAngles[t * 3 + k] = Math.acos(Math.min(1, Math.max(-1, cos)));
+      }
+    }
+  }
+
+  return { faceNormals, cornerAngles };
+}
+
+// Gives every group of vertices with the same key the same id, and returns the corners that reference each group in
+// a compact list, so that the corners around a group are cornerList[groupStart[g]] to cornerList[groupStart[g+1]].
+function groupCorners(indices, vertexCount, getKey) {
+  const vertexGroups = new Uint32Array(vertexCount);
+  const groupIds = new Map();
+  for (let v = 0; v < vertexCount; ++v) {
+    const key = getKey(v);
+    let id = groupIds.get(key);
+    if (id === undefined) {
+      id = groupIds.size;
+      groupIds.set(key, id);
+    }
+    vertexGroups[v] = id;
+  }
+
+  const cornerCount = Math.floor(indices.length / 3) * 3;
+  const groupStart = new Uint32Array(groupIds.size + 1);
+  for (let c = 0; c < cornerCount; ++c) {
+    groupStart[vertexGroups[indices[c]] + 1]++;
+  }
+  for (let g = 0; g < groupIds.size; ++g) {
+    groupStart[g + 1] += groupStart[g];
+  }
+  const cornerList = new Uint32Array(cornerCount);
+  const fill = groupStart.slice(0, groupIds.size);
+  for (let c = 0; c < cornerCount; ++c) {
+    cornerList[fill[vertexGroups[indices[c]]]++] = c;
+  }
+
+  return { vertexGroups, groupStart, cornerList };
+}
+
+// Assigns each corner's value to its vertex, splitting vertices whose corners have different values.
+function splitVertices(indices, vertexCount, cornerValues, components, defaultValue) {
+  const cornerCount = Math.floor(indices.length / 3) * 3;
+  const values = [];
+  const sources = [];
+  for (let v = 0; v < vertexCount; ++v) {
+    values.push(...defaultValue);
+    sources.push(v);
+  }
+
+  // Every split copy of a vertex, keyed by its value. The first value seen for a vertex keeps the original index.
+  const copies = new Array(vertexCount);
+  const outIndices = new Uint32Array(indices.length);
+  for (let c = 0; c < cornerCount; ++c) {
+    const vertex = indices[c];
+    const key = valueKey(cornerValues, c, components);
+    let vertexCopies = copies[vertex];
+    if (!vertexCopies) {
+      vertexCopies = copies[vertex] = new Map([[key, vertex]]);
+      for (let j = 0; j < components; ++j) {
+        values[vertex * components + j] = cornerValues[c * components + j];
+      }
+    }
+
+    let index = vertexCopies.get(key);
+    if (index === undefined) {
+      index = sources.length;
+      vertexCopies.set(key, index);
+      sources.push(vertex);
+      for (let j = 0; j < components; ++j) {
+        values.push(cornerValues[c * components + j]);
+      }
+    }
+    outIndices[c] = index;
+  }
+
+  return {
+    values: new Float32Array(values),
+    sources: new Uint32Array(sources),
+    indices: outIndices,
+    vertexCount: sources.length,
+  };
+}
+
+/**
+ * Generates angle weighted vertex normals for a triangle list. Vertices at the same position are smoothed together
+ * even if they're separate vertices, such as along a texture seam, as long as the angle between their faces is within
+ * the threshold. Vertices with corners that end up with different normals are split.
+ * @param {Float32Array} positions - Tightly packed xyz positions for every vertex.
+ * @param {Uint16Array | Uint32Array | number[]} indices - Triangle list indices.
+ * @param {number} vertexCount
+ * @param {NormalGenerationOptions} [options]
+ * @returns {GeneratedVertexValues} Values are xyz normals.
+ */
+export function generateNormals(positions, indices, vertexCount, options = {}) {
+  const angleThreshold = options.angleThreshold ?? Math.PI;
+  const smoothAll = angleThreshold >= Math.PI;
+  // A little tolerance so that faces which are exactly at the threshold, like the sides of a cube at PI/2, are
+  // treated consistently despite rounding.
+  const cosThreshold = Math.cos(angleThreshold) - 1e-6;
+
+  const { faceNormals, cornerAngles } = computeFaceGeometry(positions, indices);
+  const { vertexGroups, groupStart, cornerList } = groupCorners(indices, vertexCount,
+                                                                (v) => valueKey(positions, v, 3));
+
+  const cornerCount = Math.floor(indices.length / 3) * 3;
+  const cornerNormals = new Float32Array(cornerCount * 3);
+  for (let c = 0; c < cornerCount; ++c) {
+    const t = Math.floor(c / 3);
+    const fx = faceNormals[t * 3];
+    const fy = faceNormals[t * 3 + 1];
+    const fz = faceNormals[t * 3 + 2];
+    // Degenerate triangles have no direction of their own, so they take the normal of everything around them.
+    const degenerate = fx == 0 && fy == 0 && fz == 0;
+
+    let nx = 0;
+    let ny = 0;
+    let nz = 0;
+    const group = vertexGroups[indices[c]];
+    for (let i = groupStart[group]; i < groupStart[group + 1]; ++i) {
+      const other = cornerList[i];
+      const o = Math.floor(other / 3) * 3;
+      if (!smoothAll && !degenerate && other != c &&
+          fx * faceNormals[o] + fy * faceNormals[o + 1] + fz * faceNormals[o + 2] < cosThreshold) {
+        continue;
+      }
+      const weight = cornerAngles[other];
+      nx += faceNormals[o] * weight;
+      ny += faceNormals[o + 1] * weight;
+      nz += faceNormals[o + 2] * weight;
+    }
+
+    const length = Math.hypot(nx, ny, nz);
+    if (length > 0) {
+      cornerNormals[c * 3] = nx / length;
+      cornerNormals[c * 3 + 1] = ny / length;
+      cornerNormals[c * 3 + 2] = nz / length;
+    } else {
+      cornerNormals[c * 3 + 2] = 1;
+    }
+  }
+
+  return splitVertices(indices, vertexCount, cornerNormals, 3, [0, 0, 1]);
+}
+
+// Flags describing each triangle for tangent generation, as in MikkTSpace.
+const GROUP_WITH_ANY = 1; // No usable texture derivatives, so it can join a group of either handedness.
+const ORIENT_PRESERVING = 2; // The texture coordinates wind the same way as the positions.
+const DEGENERATE = 4; // Two or more corners share a position.
+
+// Projects the vector at offset in vectors onto the plane of the unit normal n and normalizes it into out. Vectors
+// that project to zero are left as zero.
+function projectOntoPlane(vectors, offset, n, out) {
+  const d = n[0] * vectors[offset] + n[1] * vectors[offset + 1] + n[2] * vectors[offset + 2];
+  out[0] = vectors[offset] - n[0] * d;
+  out[1] = vectors[offset + 1] - n[1] * d;
+  out[2] = vectors[offset + 2] - n[2] * d;
+  const length = Math.hypot(out[0], out[1], out[2]);
+  if (length > 0) {
+    out[0] /= length;
+    out[1] /= length;
+    out[2] /= length;
+  }
+  return out;
+}
+
+/**
+ * Generates MikkTSpace tangents for a triangle list, so that they match the tangents that tools using MikkTSpace bake
+ * normal maps against. Vertices with the same position, normal and texture coordinate are welded, and the triangles
+ * around each welded vertex are grouped by walking across the edges they share with neighbors of the same texture
+ * handedness. A group's tangent is the average of its triangles' texture derivatives projected onto the vertex normal,
+ * weighted by the angle of each triangle's corner. Triangles with degenerate texture coordinates take the handedness
+ * of the first group that reaches them, and triangles with degenerate positions copy the tangent of another triangle at
+ * the same vertex. The w component holds the handedness: the bitangent is cross(normal, tangent.xyz) * w. Vertices
+ * with corners of different handedness, such as along a mirrored texture seam, are split.
+ * @param {Float32Array} positions - Tightly packed xyz positions for every vertex.
+ * @param {Float32Array} normals - Tightly packed xyz unit normals for every vertex.
+ * @param {Float32Array} texcoords - Tightly packed uv texture coordinates for every vertex.
+ * @param {Uint16Array | Uint32Array | number[]} indices - Triangle list indices.
+ * @param {number} vertexCount
+ * @returns {GeneratedVertexValues} Values are xyzw tangents.
+ */
+export function generateTangents(positions, normals, texcoords, indices, vertexCount) {
+  const triangleCount = Math.floor(indices.length / 3);
+  const cornerCount = triangleCount * 3;
+
+  // Corners refer to the welded vertex they use by the id of its group.
+  const { vertexGroups } = groupCorners(indices, vertexCount,
+    (v) => valueKey(positions, v, 3) + valueKey(normals, v, 3) + valueKey(texcoords, v, 2));
+  const welded = new Uint32Array(cornerCount);
+  for (let c = 0; c < cornerCount; ++c) {
+    welded[c] = vertexGroups[indices[c]];
+  }
+
+  const samePosition = (a, b) => positions[a * 3] == positions[b * 3] &&
+    positions[a * 3 + 1] == positions[b * 3 + 1] && positions[a * 3 + 2] == positions[b * 3 + 2];
+
+  // Unit derivatives of each triangle's positions over u and v, flipped for triangles that don't preserve orientation.
+  const flags = new Uint8Array(triangleCount);
+  const faceTangents = new Float32Array(triangleCount * 3);
+  const faceBitangents = new Float32Array(triangleCount * 3);
+  const validTriangles = [];
+  for (let t = 0; t < triangleCount; ++t) {
+    const a = indices[t * 3];
+    const b = indices[t * 3 + 1];
+    const c = indices[t * 3 + 2];
+    if (samePosition(a, b) || samePosition(a, c) || samePosition(b, c)) {
+      flags[t] = DEGENERATE;
+      continue;
+    }
+    validTriangles.push(t);
+
+    const du1 = texcoords[b * 2] - texcoords[a * 2];
+    const dv1 = texcoords[b * 2 + 1] - texcoords[a * 2 + 1];
+    const du2 = texcoords[c * 2] - texcoords[a * 2];
+    const dv2 = texcoords[c * 2 + 1] - texcoords[a * 2 + 1];
+    const area = du1 * dv2 - du2 * dv1;
+    flags[t] = GROUP_WITH_ANY | (area > 0 ? ORIENT_PRESERVING : 0);
+    if (area == 0) { continue; }
+
+    const sign = area > 0 ? 1 : -1;
+    for (let j = 0; j < 3; ++j) {
+      const e1 = positions[b * 3 + j] - positions[a * 3 + j];
+      const e2 = positions[c * 3 + j] - positions[a * 3 + j];
+      faceTangents[t * 3 + j] = e1 * dv2 - e2 * dv1;
+      faceBitangents[t * 3 + j] = e2 * du1 - e1 * du2;
+    }
+    const tangentLength = Math.hypot(faceTangents[t * 3], faceTangents[t * 3 + 1], faceTangents[t * 3 + 2]);
+    const bitangentLength = Math.hypot(faceBitangents[t * 3], faceBitangents[t * 3 + 1], faceBitangents[t * 3 + 2]);
+    for (let j = 0; j < 3; ++j) {
+      if (tangentLength > 0) { faceTangents[t * 3 + j] *= sign / tangentLength; }
+      if (bitangentLength > 0) { faceBitangents[t * 3 + j] *= sign / bitangentLength; }
+    }
+    if (tangentLength > 0 && bitangentLength > 0) {
+      flags[t] &= ~GROUP_WITH_ANY;
+    }
+  }
+
+  // The neighbor of each corner's triangle across the edge from that corner to the next: the first later triangle
+  // with the same welded edge in the opposite direction that hasn't already been matched.
+  const edgeCorners = new Map();
+  for (const t of validTriangles) {
+    for (let i = 0; i < 3; ++i) {
+      const key = `${welded[t * 3 + i]},${welded[t * 3 + (i + 1) % 3]}`;
+      let corners = edgeCorners.get(key);
+      if (!corners) {
+        corners = [];
+        edgeCorners.set(key, corners);
+      }
+      corners.push(t * 3 + i);
+    }
+  }
+  const neighbors = new Int32Array(cornerCount).fill(-1);
+  for (const t of validTriangles) {
+    for (let i = 0; i < 3; ++i) {
+      const c = t * 3 + i;
+      if (neighbors[c] != -1) { continue; }
+      const corners = edgeCorners.get(`${welded[t * 3 + (i + 1) % 3]},${welded[c]}`) ?? [];
+      for (const other of corners) {
+        const otherTriangle = Math.floor(other / 3);
+        if (otherTriangle > t && neighbors[other] == -1) {
+          neighbors[c] = otherTriangle;
+          neighbors[other] = t;
+          break;
+        }
+      }
+    }
+  }
+
+  // Groups the triangles around each welded vertex that can be reached across shared edges without a change of
+  // handedness. Each corner of a valid triangle belongs to at most one group.
+  const cornerGroups = new Int32Array(cornerCount).fill(-1);
+  const groups = [];
+  const findCorner = (t, vertex) => t * 3 + (welded[t * 3] == vertex ? 0 : welded[t * 3 + 1] == vertex ? 1 : 2);
+  const joinNeighbors = (c, groupIndex) => {
+    const t = Math.floor(c / 3);
+    const left = neighbors[c];
+    const right = neighbors[t * 3 + (c + 2) % 3];
+    if (left >= 0) { joinGroup(left, groupIndex); }
+    if (right >= 0) { joinGroup(right, groupIndex); }
+  };
+  const joinGroup = (t, groupIndex) => {
+    const group = groups[groupIndex];
+    const c = findCorner(t, group.vertex);
+    if (cornerGroups[c] != -1) { return; }
+    // The first group to reach a triangle without its own handedness decides it. As in MikkTSpace, this makes the
+    // result depend on the order of the triangles.
+    if ((flags[t] & GROUP_WITH_ANY) &&
+        cornerGroups[t * 3] == -1 && cornerGroups[t * 3 + 1] == -1 && cornerGroups[t * 3 + 2] == -1) {
+      flags[t] = group.orientPreserving ? flags[t] | ORIENT_PRESERVING : flags[t] & ~ORIENT_PRESERVING;
+    }
+    if (((flags[t] & ORIENT_PRESERVING) != 0) != group.orientPreserving) { return; }
+    group.triangles.push(t);
+    cornerGroups[c] = groupIndex;
+    joinNeighbors(c, groupIndex);
+  };
+  for (const t of validTriangles) {
+    if (flags[t] & GROUP_WITH_ANY) { continue; }
+    for (let i = 0; i < 3; ++i) {
+      const c = t * 3 + i;
+      if (cornerGroups[c] != -1) { continue; }
+      cornerGroups[c] = groups.length;
+      groups.push({
+        vertex: welded[c],
+        normalVertex: indices[c],
+        orientPreserving: (flags[t] & ORIENT_PRESERVING) != 0,
+        triangles: [t],
+      });
+      joinNeighbors(c, groups.length - 1);
+    }
+  }
+
+  // Corners that never join a group keep MikkTSpace's default tangent space.
+  const cornerTangents = new Float32Array(cornerCount * 4);
+  for (let c = 0; c < cornerCount; ++c) {
+    cornerTangents[c * 4] = 1;
+    cornerTangents[c * 4 + 3] = -1;
+  }
+
+  const n = [0, 0, 0];
+  const projected = [0, 0, 0];
+  const edge1 = [0, 0, 0];
+  const edge2 = [0, 0, 0];
+  // Averages the tangents of a set of triangles in a group at its vertex, weighted by the angles of their corners.
+  const averageTangent = (group, triangles) => {
+    const sum = [0, 0, 0];
+    for (const t of triangles) {
+      if (flags[t] & GROUP_WITH_ANY) { continue; }
+      const c = findCorner(t, group.vertex);
+      const corner = indices[c] * 3;
+      const previous = indices[t * 3 + (c + 2) % 3] * 3;
+      const next = indices[t * 3 + (c + 1) % 3] * 3;
+      for (let j = 0; j < 3; ++j) {
+        edge1[j] = positions[previous + j] - positions[corner + j];
+        edge2[j] = positions[next + j] - positions[corner + j];
+      }
+      projectOntoPlane(edge1, 0, n, edge1);
+      projectOntoPlane(edge2, 0, n, edge2);
+      const cos = edge1[0] * edge2[0] + edge1[1] * edge2[1] + edge1[2] * edge2[2];
+      const angle = Math.acos(Math.min(1, Math.max(-1, cos)));
+
+      projectOntoPlane(faceTangents, t * 3, n, projected);
+      sum[0] += projected[0] * angle;
+      sum[1] += projected[1] * angle;
+      sum[2] += projected[2] * angle;
+    }
+    const length = Math.hypot(sum[0], sum[1], sum[2]);
+    return length > 0 ? [sum[0] / length, sum[1] / length, sum[2] / length] : sum;
+  };
+
+  for (const group of groups) {
+    n[0] = normals[group.normalVertex * 3];
+    n[1] = normals[group.normalVertex * 3 + 1];
+    n[2] = normals[group.normalVertex * 3 + 2];
+    const tangents = group.triangles.map((t) => projectOntoPlane(faceTangents, t * 3, n, [0, 0, 0]));
+    const bitangents = group.triangles.map((t) => projectOntoPlane(faceBitangents, t * 3, n, [0, 0, 0]));
+
+    // Each triangle's tangent averages those of the triangles in the group that don't point the opposite way to it.
+    // Triangles that end up with the same set share the same average.
+    const averages = new Map();
+    group.triangles.forEach((t, k) => {
+      const members = group.triangles.filter((other, m) => {
+        if (k == m || ((flags[t] | flags[other]) & GROUP_WITH_ANY)) { return true; }
+        const cosTangent = tangents[k][0] * tangents[m][0] + tangents[k][1] * tangents[m][1] +
+          tangents[k][2] * tangents[m][2];
+        const cosBitangent = bitangents[k][0] * bitangents[m][0] + bitangents[k][1] * bitangents[m][1] +
+          bitangents[k][2] * bitangents[m][2];
+        return cosTangent > -1 && cosBitangent > -1;
+      }).sort((a, b) => a - b);
+      const key = members.join(',');
+      let tangent = averages.get(key);
+      if (!tangent) {
+        tangent = averageTangent(group, members);
+        averages.set(key, tangent);
+      }
+
+      const c = findCorner(t, group.vertex);
+      cornerTangents[c * 4] = tangent[0];
+      cornerTangents[c * 4 + 1] = tangent[1];
+      cornerTangents[c * 4 + 2] = tangent[2];
+      cornerTangents[c * 4 + 3] = group.orientPreserving ? 1 : -1;
+    });
+  }
+
+  // Corners of degenerate triangles copy the tangent of the first valid triangle's corner at the same welded vertex.
+  const firstCorners = new Map();
+  for (const t of validTriangles) {
+    for (let c = t * 3; c < t * 3 + 3; ++c) {
+      if (!firstCorners.has(welded[c])) { firstCorners.set(welded[c], c); }
+    }
+  }
+  for (let t = 0; t < triangleCount; ++t) {
+    if (!(flags[t] & DEGENERATE)) { continue; }
+    for (let c = t * 3; c < t * 3 + 3; ++c) {
+      const source = firstCorners.get(welded[c]);
+      if (source !== undefined) {
+        cornerTangents.copyWithin(c * 4, source * 4, source * 4 + 4);
+      }
+    }
+  }
+
+  return splitVertices(indices, vertexCount, cornerTangents, 4, [1, 0, 0, 1]);
+}
@@ -1,6 +1,14 @@
+import { MemoryCategory, MemoryTracker } from './memory-tracker.js';
+
 /** Number of timing samples to collect before computing the average */
 const AVG_SAMPLE_COUNT = 30;
 
+/**
+ * Maximum number of readback buffers that can be waiting to be mapped at once. If every one of them is still in use
+ * when resolve() is called that frame's timings are dropped rather than allocating another buffer.
+ */
+const MAX_READBACK_BUFFERS = 4;
+
 /**
  * A utility that makes it a bit easier to gather timings from WebGPU compute and render passes.
  */
@@ -11,8 +19,10 @@ export class TimestampHelper {
   #timestampQuerySet;
   #timestampResolveBuffer;
   #timestampReadbackBuffers = [];
-  #readbackBufferCount = 0;
+  #allReadbackBuffers = [];
   #currentReadbackBuffer = null;
+  #memoryTracker;
+  #destroyed = false;
 
   #passTimings = new Map();
 
@@ -22,22 +32,30 @@ export class TimestampHelper {
 
   #averages = {};
 
-  constructor(device, maxPassCount = 16) {
+  /**
+   * @param {GPUDevice} device
+   * @param {number} [maxPassCount=16]
+   * @param {MemoryTracker} [memoryTracker] - Tracker the query set and buffers are reported to. Defaults to
+   *   MemoryTracker.default.
+   */
+  constructor(device, maxPassCount = 16, memoryTracker = MemoryTracker.default) {
     this.device = device;
     this.#maxPassCount = maxPassCount;
+    this.#memoryTracker = memoryTracker;
     this.#timestampsSupported = this.device.features.has('timestamp-query');
 
     if (this.#timestampsSupported) {
-      this.#timestampQuerySet = this.device.createQuerySet({
+      this.#timestampQuerySet = this.#memoryTracker.track(this.device.createQuerySet({
           label: 'Timestamp Helper',
           type: 'timestamp',
           count: this.#maxPassCount,
-      });
+      }), MemoryCategory.query);
 
-      this.#timestampResolveBuffer = this.device.createBuffer({
+      this.#timestampResolveBuffer = this.#memoryTracker.createBuffer(this.device, {
+          label: 'Timestamp Resolve',
           size: BigUint64Array.BYTES_PER_ELEMENT * this.#maxPassCount,
           usage: GPUBufferUsage.QUERY_RESOLVE | GPUBufferUsage.COPY_SRC,
-      });
+      }, MemoryCategory.query);
     }
   }
 
@@ -46,7 +64,7 @@ export class TimestampHelper {
   }
 
   timestampWrites(name) {
-    if (!this.#timestampsSupported) { return undefined; }
+    if (!this.#timestampsSupported || this.#destroyed) { return undefined; }
 
     if (this.#currentReadbackBuffer) {
       throw new Error('Must read back the previous resolve before new timestampes can be added.');
@@ -71,7 +89,7 @@ export class TimestampHelper {
   }
 
   resolve(commandEncoder) {
-    if (!this.#timestampsSupported) { return; }
+    if (!this.#timestampsSupported || this.#destroyed) { return; }
 
     if (this.#currentReadbackBuffer) {
       throw new Error('Must read back the previous resolve before resolve can be called again.');
@@ -79,13 +97,18 @@ export class TimestampHelper {
 
     if (this.#timestampReadbackBuffers.length > 0) {
       this.#currentReadbackBuffer = this.#timestampReadbackBuffers.pop();
-    } else {
-      this.#currentReadbackBuffer = this.device.createBuffer({
-        label: `Timestamp Readback ${this.#readbackBufferCount}`,
+    } else if (this.#allReadbackBuffers.length < MAX_READBACK_BUFFERS) {
+      this.#currentReadbackBuffer = this.#memoryTracker.createBuffer(this.device, {
+        label: `Timestamp Readback ${this.#allReadbackBuffers.length}`,
         size: this.#timestampResolveBuffer.size,
         usage: GPUBufferUsage.MAP_READ | GPUBufferUsage.COPY_DST,
-      });
-      this.#readbackBufferCount++;
+      }, MemoryCategory.query);
+      this.#allReadbackBuffers.push(this.#currentReadbackBuffer);
+    } else {
+      // Every readback buffer is still waiting to be mapped, so skip this frame's timings.
+      this.#queriesUsed.clear();
+      this.#nextQueryIndex = 0;
+      return;
     }
 
     commandEncoder.resolveQuerySet(this.#timestampQuerySet, 0, this.#nextQueryIndex, this.#timestampResolveBuffer, 0);
@@ -102,7 +125,13 @@ export class TimestampHelper {
     this.#queriesUsed.clear();
     this.#nextQueryIndex = 0;
 
-    await readbackBuffer.mapAsync(GPUMapMode.READ);
+    try {
+      await readbackBuffer.mapAsync(GPUMapMode.READ);
+    } catch (error) {
+      // Mapping is aborted when the helper is destroyed while the read is pending.
+      if (this.#destroyed) { return; }
+      throw error;
+    }
     const mappedArray = new BigUint64Array(readbackBuffer.getMappedRange());
 
     const results = {};
@@ -170,6 +199,26 @@ export class TimestampHelper {
     return results;
   }
 
+  /**
+   * Destroys the query set and every buffer owned by the helper. Any read() that is still pending returns without
+   * results.
+   */
+  destroy() {
+    if (this.#destroyed) { return; }
+    this.#destroyed = true;
+
+    if (!this.#timestampsSupported) { return; }
+
+    this.#memoryTracker.destroy(this.#timestampQuerySet);
+    this.#memoryTracker.destroy(this.#timestampResolveBuffer);
+    for (const readbackBuffer of this.#allReadbackBuffers) {
+      this.#memoryTracker.destroy(readbackBuffer);
+    }
+    this.#allReadbackBuffers = [];
+    this.#timestampReadbackBuffers = [];
+    this.#currentReadbackBuffer = null;
+  }
+
   get averages() {
     return this.#averages;
   }
@@ -296,6 +296,9 @@ export class TinyWebGpuDemo {
     if (featureList.has('timestamp-query')) {
       requiredFeatures.push('timestamp-query');
     }
+    if (featureList.has('indirect-first-instance')) {
+      requiredFeatures.push('indirect-first-instance');
+    }
 
     this.device = await adapter.requestDevice({
       requiredFeatures,
@@ -0,0 +1,321 @@
+// Utilities for reading and writing vertex data on the CPU in any GPUVertexFormat.
+
+/**
+ * Size in bytes of one value of each GPUVertexFormat, which is also the tightly packed array stride.
+ */
+export const DefaultStride = {
+  uint8: 1,
+  uint8x2: 2,
+  uint8x4: 4,
+  sint8: 1,
+  sint8x2: 2,
+  sint8x4: 4,
+  unorm8: 1,
+  unorm8x2: 2,
+  unorm8x4: 4,
+  snorm8: 1,
+  snorm8x2: 2,
+  snorm8x4: 4,
+  uint16: 2,
+  uint16x2: 4,
+  uint16x4: 8,
+  sint16: 2,
+  sint16x2: 4,
+  sint16x4: 8,
+  unorm16: 2,
+  unorm16x2: 4,
+  unorm16x4: 8,
+  snorm16: 2,
+  snorm16x2: 4,
+  snorm16x4: 8,
+  float16: 2,
+  float16x2: 4,
+  float16x4: 8,
+  float32: 4,
+  float32x2: 8,
+  float32x3: 12,
+  float32x4: 16,
+  uint32: 4,
+  uint32x2: 8,
+  uint32x3: 12,
+  uint32x4: 16,
+  sint32: 4,
+  sint32x2: 8,
+  sint32x3: 12,
+  sint32x4: 16,
+  'unorm10-10-10-2': 4,
+  'unorm8x4-bgra': 4,
+};
+
+const formatInfoCache = new Map();
+
+/**
+ * Information about how values of a GPUVertexFormat are stored
+ * @typedef {Object} VertexFormatInfo
+ * @prop {string} type - One of 'uint', 'sint', 'unorm', 'snorm', or 'float'.
+ * @prop {number} bits - Bits per component.
+ * @prop {number} components - Number of components.
+ * @prop {number} byteSize - Total size of one value in bytes.
+ * @prop {boolean} packed - True for formats that don't store each component in its own bytes.
+ */
+
+/**
+ * Returns information about how values of the given format are stored
+ * @param {GPUVertexFormat} format
+ * @returns {VertexFormatInfo}
+ */
+export function getVertexFormatInfo(format) {
+  let info = formatInfoCache.get(format);
+  if (info) { return info; }
+
+  if (!Object.hasOwn(DefaultStride, format)) {
+    throw new Error(`Unknown vertex format "${format}"`);
+  }
+
+  if (format == 'unorm10-10-10-2') {
+    info = { type: 'unorm', bits: 10, components: 4, byteSize: 4, packed: true };
+  } else if (format == 'unorm8x4-bgra') {
+    info = { type: 'unorm', bits: 8, components: 4, byteSize: 4, packed: true };
+  } else {
+    const match = format.match(/^(uint|sint|unorm|snorm|float)(8|16|32)(?:x([234]))?$/);
+    const bits = parseInt(match[2], 10);
+    const components = match[3] ? parseInt(match[3], 10) : 1;
+    info = { type: match[1], bits, components, byteSize: components * bits / 8, packed: false };
+  }
+
+  formatInfoCache.set(format, info);
+  return info;
+}
+
+const float16Scratch = new Uint32Array(1);
+const float16ScratchFloat = new Float32Array(float16Scratch.buffer);
+
+function float16ToNumber(value) {
+  const sign = (value & 0x8000) ? -1 : 1;
+  const exponent = (value >> 10) & 0x1F;
+  const mantissa = value & 0x3FF;
+  if (exponent == 0) {
+    return sign * Math.pow(2, -14) * (mantissa / 1024);
+  } else if (exponent == 0x1F) {
+    return mantissa ? NaN : sign * Infinity;
+  }
+  float16Scratch[0] = ((value & 0x8000) << 16) | ((exponent + 112) << 23) | (mantissa << 13);
+  return float16ScratchFloat[0];
+}
+
+/**
+ * Reads a single vertex attribute value into out, converting it to the number the shader would see. (Normalized
+ * formats are returned in the [0, 1] or [-1, 1] range.)
+ * @param {DataView} dataView
+ * @param {number} byteOffset
+ * @param {GPUVertexFormat} format
+ * @param {number[]} [out]
+ * @returns {number[]}
+ */
+export function readVertexValue(dataView, byteOffset, format, out = []) {
+  const info = getVertexFormatInfo(format);
+
+  if (format == 'unorm10-10-10-2') {
+    const value = dataView.getUint32(byteOffset, true);
+    out[0] = (value & 0x3FF) / 1023;
+    out[1] = ((value >>> 10) & 0x3FF) / 1023;
+    out[2] = ((value >>> 20) & 0x3FF) / 1023;
+    out[3] = (value >>> 30) / 3;
+    return out;
+  } else if (format == 'unorm8x4-bgra') {
+    out[0] = dataView.getUint8(byteOffset + 2) / 255;
+    out[1] = dataView.getUint8(byteOffset + 1) / 255;
+    out[2] = dataView.getUint8(byteOffset) / 255;
+    out[3] = dataView.getUint8(byteOffset + 3) / 255;
+    return out;
+  }
+
+  const componentSize = info.bits / 8;
+  for (let i = 0; i < info.components; ++i) {
+    const offset = byteOffset + i * componentSize;
+    switch (info.bits) {
+      case 8:
+        switch (info.type) {
+          case 'uint': out[i] = dataView.getUint8(offset); break;
+          case 'sint': out[i] = dataView.getInt8(offset); break;
+          case 'unorm': out[i] = dataView.getUint8(offset) / 255; break;
+          case 'snorm': out[i] = Math.max(dataView.getInt8(offset) / 127, -1); break;
+        }
+        break;
+      case 16:
+        switch (info.type) {
+          case 'uint': out[i] = dataView.getUint16(offset, true); break;
+          case 'sint': out[i] = dataView.getInt16(offset, true); break;
+          case 'unorm': out[i] = dataView.getUint16(offset, true) / 65535; break;
+          case 'snorm': out[i] = Math.max(dataView.getInt16(offset, true) / 32767, -1); break;
+          case 'float': out[i] = float16ToNumber(dataView.getUint16(offset, true)); break;
+        }
+        break;
+      case 32:
+        switch (info.type) {
+          case 'uint': out[i] = dataView.getUint32(offset, true); break;
+          case 'sint': out[i] = dataView.getInt32(offset, true); break;
+          case 'float': out[i] = dataView.getFloat32(offset, true); break;
+        }
+        break;
+    }
+  }
+  return out;
+}
+
+/**
+ * Reads every value of a strided attribute into a tightly packed Float32Array.
+ * @param {Uint8Array} byteArray - Bytes the attribute is stored in.
+ * @param {number} offset - Byte offset of the first value.
+ * @param {number} stride - Bytes between each value.
+ * @param {GPUVertexFormat} format
+ * @param {number} count - Number of values to read.
+ * @returns {Float32Array}
+ */
+export function readVertexAttribute(byteArray, offset, stride, format, count) {
+  const components = getVertexFormatInfo(format).components;
+  const dataView = new DataView(byteArray.buffer, byteArray.byteOffset, byteArray.byteLength);
+  const out = new Float32Array(count * components);
+  const value = [];
+  for (let i = 0; i < count; ++i) {
+    readVertexValue(dataView, offset + i * stride, format, value);
+    for (let j = 0; j < components; ++j) {
+      out[i * components + j] = value[j];
+    }
+  }
+  return out;
+}
+
+function numberToFloat16(value) {
+  float16ScratchFloat[0] = value;
+  const bits = float16Scratch[0];
+  const sign = (bits >>> 16) & 0x8000;
+  const exponent = ((bits >>> 23) & 0xFF) - 112;
+  let mantissa = bits & 0x7FFFFF;
+
+  if (((bits >>> 23) & 0xFF) == 0xFF) {
+    return sign | 0x7C00 | (mantissa ? 0x200 : 0); // Infinity or NaN
+  } else if (exponent >= 0x1F) {
+    return sign | 0x7C00; // Too large, becomes Infinity
+  }
+
+  // Round to nearest, ties to even, after dropping `shift` bits of mantissa.
+  let shift = 13;
+  let half;
+  if (exponent <= 0) {
+    // Subnormal half
+    if (exponent < -10) { return sign; }
+    mantissa |= 0x800000;
+    shift = 14 - exponent;
+    half = mantissa >>> shift;
+  } else {
+    half = (exponent << 10) | (mantissa >>> shift);
+  }
+  const remainder = mantissa & ((1 << shift) - 1);
+  const halfway = 1 << (shift - 1);
+  if (remainder > halfway || (remainder == halfway && (half & 1))) {
+    half++;
+  }
+  return sign | half;
+}
+
+function clamp(value, min, max) {
+  return Math.min(Math.max(value, min), max);
+}
+
+/**
+ * Encodes an array of numbers as tightly packed values of the given format. Normalized formats are clamped to their
+ * range and rounded. Throws if any value can't be represented by the format, such as integers outside of the
+ * format's range or non-integers given for an integer format.
+ * @param {number[]} values - Components of every value, in order. For 'unorm8x4-bgra' components are given in RGBA
+ *   order and swizzled when written.
+ * @param {GPUVertexFormat} format
+ * @returns {Uint8Array}
+ */
+export function encodeVertexValues(values, format) {
+  const info = getVertexFormatInfo(format);
+  if (values.length % info.components != 0) {
+    throw new Error(`${values.length} values is not a multiple of the ${info.components} components of ${format}`);
+  }
+
+  const count = values.length / info.components;
+  const byteArray = new Uint8Array(count * info.byteSize);
+  const dataView = new DataView(byteArray.buffer);
+
+  const checkValue = (i, isValid) => {
+    if (typeof values[i] != 'number' || !isValid(values[i])) {
+      throw new Error(`Value ${values[i]} at index ${i} does not fit format ${format}`);
+    }
+    return values[i];
+  };
+  const isFinite = (v) => Number.isFinite(v);
+
+  if (format == 'unorm10-10-10-2') {
+    for (let i = 0; i < count; ++i) {
+      const r = Math.round(clamp(checkValue(i * 4, isFinite), 0, 1) * 1023);
+      const g = Math.round(clamp(checkValue(i * 4 + 1, isFinite), 0, 1) * 1023);
+      const b = Math.round(clamp(checkValue(i * 4 + 2, isFinite), 0, 1) * 1023);
+      const a = Math.round(clamp(checkValue(i * 4 + 3, isFinite), 0, 1) * 3);
+      dataView.setUint32(i * 4, (r | (g << 10) | (b << 20) | (a << 30)) >>> 0, true);
+    }
+    return byteArray;
+  } else if (format == 'unorm8x4-bgra') {
+    for (let i = 0; i < count; ++i) {
+      for (let j = 0; j < 4; ++j) {
+        const value = Math.round(clamp(checkValue(i * 4 + j, isFinite), 0, 1) * 255);
+        // Swap the R and B channels.
+        dataView.setUint8(i * 4 + (j < 3 ? 2 - j : 3), value);
+      }
+    }
+    return byteArray;
+  }
+
+  const componentSize = info.bits / 8;
+  const maxUint = Math.pow(2, info.bits) - 1;
+  const maxSint = Math.pow(2, info.bits - 1) - 1;
+  const isUint = (v) => Number.isInteger(v) && v >= 0 && v <= maxUint;
+  const isSint = (v) => Number.isInteger(v) && v >= -maxSint - 1 && v <= maxSint;
+  const isFloat16 = (v) => Number.isFinite(v) && Math.abs(v) <= 65504;
+
+  for (let i = 0; i < values.length; ++i) {
+    const offset = i * componentSize;
+    switch (info.type) {
+      case 'uint': {
+        const value = checkValue(i, isUint);
+        switch (info.bits) {
+          case 8: dataView.setUint8(offset, value); break;
+          case 16: dataView.setUint16(offset, value, true); break;
+          case 32: dataView.setUint32(offset, value, true); break;
+        }
+        break;
+      }
+      case 'sint': {
+        const value = checkValue(i, isSint);
+        switch (info.bits) {
+          case 8: dataView.setInt8(offset, value); break;
+          case 16: dataView.setInt16(offset, value, true); break;
+          case 32: dataView.setInt32(offset, value, true); break;
+        }
+        break;
+      }
+      case 'unorm': {
+        const value = Math.round(clamp(checkValue(i, isFinite), 0, 1) * maxUint);
+        info.bits == 8 ? dataView.setUint8(offset, value) : dataView.setUint16(offset, value, true);
+        break;
+      }
+      case 'snorm': {
+        const value = Math.round(clamp(checkValue(i, isFinite), -1, 1) * maxSint);
+        info.bits == 8 ? dataView.setInt8(offset, value) : dataView.setInt16(offset, value, true);
+        break;
+      }
+      case 'float':
+        if (info.bits == 16) {
+          dataView.setUint16(offset, numberToFloat16(checkValue(i, isFloat16)), true);
+        } else {
+          dataView.setFloat32(offset, checkValue(i, (v) => true), true);
+        }
+        break;
+    }
+  }
+  return byteArray;
+}